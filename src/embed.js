@@ -0,0 +1,155 @@
+"use strict";
+
+const prettier = require("prettier");
+const { group } = prettier.doc.builders;
+const { Node } = require("melody-types");
+const { getVueAlpineReplacements } = require("./util");
+const {
+    containsTwig,
+    protectTwigExpressions,
+    restoreTwigExpressions,
+} = require("./util/scriptFormatting.js");
+
+const SCRIPT_PARSERS = {
+    "": "babel",
+    "text/javascript": "babel",
+    "application/javascript": "babel",
+    "text/ecmascript": "babel",
+    "application/ecmascript": "babel",
+    module: "babel",
+    "text/babel": "babel",
+    "text/jsx": "babel",
+    "text/typescript": "typescript",
+    "application/typescript": "typescript",
+    "application/json": "json",
+    "application/ld+json": "json",
+    "application/manifest+json": "json",
+    importmap: "json",
+    speculationrules: "json",
+};
+
+const SCRIPT_LANG_PARSERS = {
+    ts: "typescript",
+    tsx: "typescript",
+    jsx: "babel",
+};
+
+const STYLE_LANG_PARSERS = {
+    "": "css",
+    css: "css",
+    "text/css": "css",
+    scss: "scss",
+    less: "less",
+};
+
+const TWIG_AWARE_PARSERS = new Set(["babel", "typescript", "json"]);
+
+const PLACEHOLDER = /^(script|style)-content-\d+$/;
+
+const getPlaceholder = (node) =>
+    Node.isPrintTextStatement(node) &&
+    node.value &&
+    typeof node.value.value === "string" &&
+    PLACEHOLDER.test(node.value.value.trim())
+        ? node.value.value.trim()
+        : null;
+
+/**
+ * Returns the value of a static attribute, "" if the attribute
+ * does not exist, or null if the value is computed by Twig
+ */
+const getStaticAttributeValue = (element, name) => {
+    const attribute = (element.attributes || []).find(
+        (attr) =>
+            Node.isAttribute(attr) &&
+            attr.name &&
+            typeof attr.name.name === "string" &&
+            attr.name.name.toLowerCase() === name,
+    );
+    if (!attribute || !attribute.value) {
+        return "";
+    }
+    return Node.isStringLiteral(attribute.value)
+        ? attribute.value.value.trim().toLowerCase()
+        : null;
+};
+
+/**
+ * Determines the Prettier parser for the content of a script
+ * or style element, or null if the content is not formatted
+ */
+const getEmbeddedParser = (element) => {
+    const type = getStaticAttributeValue(element, "type");
+    const lang = getStaticAttributeValue(element, "lang");
+    if (type === null || lang === null) {
+        return null;
+    }
+    if (element.name.toLowerCase() === "style") {
+        return STYLE_LANG_PARSERS[lang || type] || null;
+    }
+    if (lang) {
+        return SCRIPT_LANG_PARSERS[lang] || null;
+    }
+    return SCRIPT_PARSERS[type] || null;
+};
+
+// Tags with script or style content (see embeddedTags of the presets)
+const TAG_PARSERS = {
+    JsStatement: "babel",
+    CssStatement: "css",
+};
+
+/**
+ * Formats the content of <script> and <style> elements (and of tags
+ * like {% js %}) with the matching Prettier parser. The parser
+ * replaces the content with a placeholder, which is the only child
+ * of the element.
+ */
+const embed = (path) => {
+    const node = path.getValue();
+    const placeholder = getPlaceholder(node);
+    const parent = path.getParentNode();
+    if (!placeholder || !parent) {
+        return undefined;
+    }
+    const isElement = Node.isElement(parent);
+    if (!isElement && !TAG_PARSERS[parent.type]) {
+        return undefined;
+    }
+    const content = getVueAlpineReplacements(path).get(placeholder);
+    if (typeof content !== "string" || !content.trim()) {
+        return undefined;
+    }
+    const parser = isElement
+        ? getEmbeddedParser(parent)
+        : TAG_PARSERS[parent.type];
+    if (!parser) {
+        return undefined;
+    }
+    // If the embedded code cannot be formatted, Prettier falls back to
+    // the regular print function, which keeps the content as it is.
+    // The code is printed in break mode, as if it was a document of its
+    // own, even though the children of an element end up in a fill.
+    if (!containsTwig(content)) {
+        return async (textToDoc) =>
+            group(await textToDoc(content, { parser }), { shouldBreak: true });
+    }
+    const protectedCode = TWIG_AWARE_PARSERS.has(parser)
+        ? protectTwigExpressions(content, parser)
+        : null;
+    if (!protectedCode) {
+        return undefined;
+    }
+    return async (textToDoc) => {
+        const doc = restoreTwigExpressions(
+            await textToDoc(protectedCode.processedCode, { parser }),
+            protectedCode.replacements,
+        );
+        return doc ? group(doc, { shouldBreak: true }) : undefined;
+    };
+};
+
+module.exports = {
+    embed,
+    getEmbeddedParser,
+};
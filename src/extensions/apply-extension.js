@@ -0,0 +1,72 @@
+/**
+ * Apply Tag Extension for Twig Melody
+ * This extension adds support for the apply tag, which replaces the
+ * filter tag in Twig 3.x: https://twig.symfony.com/doc/3.x/tags/apply.html
+ */
+
+const { Node, Identifier, type, alias, visitor } = require("melody-types");
+const {
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    createNode,
+    hasTagEndTokenTrimRight,
+    hasTagStartTokenTrimLeft,
+} = require("melody-parser");
+
+/**
+ * {% apply upper|escape %}...{% endapply %}
+ */
+class ApplyStatement extends Node {
+    constructor(filterExpression, body) {
+        super();
+        this.filterExpression = filterExpression;
+        this.body = body;
+    }
+}
+type(ApplyStatement, "ApplyStatement");
+alias(ApplyStatement, "Statement", "Block");
+visitor(ApplyStatement, "filterExpression", "body");
+
+const ApplyParser = {
+    name: "apply",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        // Like for the filter tag, the filters are applied to an
+        // identifier named after the tag
+        const ref = createNode(Identifier, token, "apply");
+        const filterExpression = parser.matchFilterExpression(ref);
+        tokens.expect(Types.TAG_END);
+        const openingTagEndToken = tokens.la(-1);
+        let closingTagStartToken;
+
+        const body = parser.parse((tokenText, token, tokens) => {
+            const result = !!(
+                token.type === Types.TAG_START &&
+                tokens.nextIf(Types.SYMBOL, "endapply")
+            );
+            if (result) {
+                closingTagStartToken = token;
+            }
+            return result;
+        }).expressions;
+
+        const applyStatement = new ApplyStatement(filterExpression, body);
+        setStartFromToken(applyStatement, token);
+        setEndFromToken(applyStatement, tokens.expect(Types.TAG_END));
+
+        applyStatement.trimRightApply =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        applyStatement.trimLeftEndapply =
+            !!closingTagStartToken &&
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return applyStatement;
+    },
+};
+
+module.exports = {
+    tags: [ApplyParser],
+    ApplyStatement,
+};
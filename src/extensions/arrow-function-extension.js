@@ -0,0 +1,94 @@
+/**
+ * Arrow Function Extension for Twig Melody
+ * This extension adds support for the arrow functions of Twig 3.x,
+ * which are passed to filters like map, filter, reduce and sort:
+ * https://twig.symfony.com/doc/3.x/templates.html#other-operators
+ */
+
+const { Node, Identifier, type, alias, visitor } = require("melody-types");
+const {
+    Parser,
+    Types,
+    setStartFromToken,
+    copyEnd,
+    createNode,
+} = require("melody-parser");
+
+const ARROW = "=>";
+
+/**
+ * item => item.active, (a, b) => a <=> b
+ */
+class ArrowFunctionExpression extends Node {
+    constructor(params, body) {
+        super();
+        this.params = params;
+        this.body = body;
+    }
+}
+type(ArrowFunctionExpression, "ArrowFunctionExpression");
+alias(ArrowFunctionExpression, "Expression");
+visitor(ArrowFunctionExpression, "params", "body");
+
+const isArrow = (token) =>
+    token.type === Types.OPERATOR && token.text === ARROW;
+
+/**
+ * Returns the number of tokens of the parameter list, if the
+ * tokens ahead are the parameters of an arrow function
+ */
+const getParameterTokenCount = (tokens) => {
+    if (tokens.test(Types.SYMBOL)) {
+        return isArrow(tokens.la(1)) ? 1 : 0;
+    }
+    if (!tokens.test(Types.LPAREN)) {
+        return 0;
+    }
+    let offset = 1;
+    while (tokens.lat(offset) === Types.SYMBOL) {
+        offset++;
+        if (tokens.lat(offset) !== Types.COMMA) {
+            break;
+        }
+        offset++;
+    }
+    return tokens.lat(offset) === Types.RPAREN && isArrow(tokens.la(offset + 1))
+        ? offset + 1
+        : 0;
+};
+
+/**
+ * Replaces Parser.prototype.getPrimary of melody-parser, so that
+ * arrow functions are parsed wherever an expression may start
+ */
+function getPrimary() {
+    const tokens = this.tokens;
+    const parameterTokenCount = getParameterTokenCount(tokens);
+    if (!parameterTokenCount) {
+        return Parser.prototype.getPrimary.call(this);
+    }
+    const startToken = tokens.la(0);
+    const params = [];
+    for (let i = 0; i < parameterTokenCount; i++) {
+        const token = tokens.next();
+        if (token.type === Types.SYMBOL) {
+            params.push(createNode(Identifier, token, token.text));
+        }
+    }
+    tokens.expect(Types.OPERATOR, ARROW);
+    const body = this.matchExpression();
+    const arrowFunction = new ArrowFunctionExpression(params, body);
+    setStartFromToken(arrowFunction, startToken);
+    copyEnd(arrowFunction, body);
+    return arrowFunction;
+}
+
+module.exports = {
+    // The arrow is registered for the lexer only. Its precedence keeps
+    // it out of binary expressions; getPrimary() consumes it instead.
+    binaryOperators: [{ text: ARROW, precedence: -1 }],
+    extendParser(parser) {
+        parser.getPrimary = getPrimary;
+    },
+    ArrowFunctionExpression,
+};
@@ -0,0 +1,111 @@
+/**
+ * Cache Tag Extension for Twig Melody
+ * This extension adds support for the cache tag of the Twig CacheExtension:
+ * https://twig.symfony.com/doc/3.x/tags/cache.html
+ */
+
+const { Node, type, alias, visitor } = require("melody-types");
+const {
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    hasTagEndTokenTrimRight,
+    hasTagStartTokenTrimLeft,
+} = require("melody-parser");
+
+/**
+ * {% cache "key" ttl(300) tags(['a']) %}...{% endcache %}
+ */
+class CacheStatement extends Node {
+    constructor(key, body) {
+        super();
+        this.key = key;
+        this.ttl = null;
+        this.tags = null;
+        this.body = body;
+    }
+}
+type(CacheStatement, "CacheStatement");
+alias(CacheStatement, "Statement", "Block");
+visitor(CacheStatement, "key", "ttl", "tags", "body");
+
+const CACHE_OPTIONS = ["ttl", "tags"];
+
+/**
+ * Reads the ttl(...) and tags(...) options, which can be given
+ * in any order
+ */
+const matchCacheOptions = (parser) => {
+    const tokens = parser.tokens;
+    const cacheOptions = {};
+    while (
+        tokens.test(Types.SYMBOL) &&
+        CACHE_OPTIONS.includes(tokens.la(0).text)
+    ) {
+        const optionToken = tokens.next();
+        const args = parser.matchArguments();
+        if (args.length !== 1) {
+            parser.error({
+                title: `Expected exactly one argument for ${optionToken.text}()`,
+                pos: optionToken.pos,
+            });
+        }
+        cacheOptions[optionToken.text] = args[0];
+    }
+    return cacheOptions;
+};
+
+const CacheParser = {
+    name: "cache",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+        const startIndex = tokens.index;
+
+        let key = null;
+        let cacheOptions = {};
+        try {
+            key = parser.matchExpression();
+            cacheOptions = matchCacheOptions(parser);
+        } catch (e) {
+            key = null;
+        }
+        if (!key || !tokens.test(Types.TAG_END)) {
+            // Cache tags with another syntax, like the one of Craft CMS
+            // ({% cache globally for 3 weeks %}), are generic tags
+            tokens.index = startIndex;
+            return parser.getGenericParserFor(token.text).parse(parser, token);
+        }
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+        let closingTagStartToken;
+
+        const body = parser.parse((tokenText, token, tokens) => {
+            const result = !!(
+                token.type === Types.TAG_START &&
+                tokens.nextIf(Types.SYMBOL, "endcache")
+            );
+            if (result) {
+                closingTagStartToken = token;
+            }
+            return result;
+        }).expressions;
+
+        const cacheStatement = new CacheStatement(key, body);
+        cacheStatement.ttl = cacheOptions.ttl || null;
+        cacheStatement.tags = cacheOptions.tags || null;
+        setStartFromToken(cacheStatement, token);
+        setEndFromToken(cacheStatement, tokens.expect(Types.TAG_END));
+
+        cacheStatement.trimRightCache =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        cacheStatement.trimLeftEndcache =
+            !!closingTagStartToken &&
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return cacheStatement;
+    },
+};
+
+module.exports = {
+    tags: [CacheParser],
+    CacheStatement,
+};
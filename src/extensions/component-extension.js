@@ -0,0 +1,91 @@
+/**
+ * Component Tag Extension for Twig Melody
+ * This extension adds support for the component tag of Symfony UX
+ * Twig Components: https://symfony.com/bundles/ux-twig-component
+ *
+ * The HTML syntax (<twig:Alert :message="msg">) is handled by the
+ * template scanner (see src/util/templateScanner.js).
+ */
+
+const { Node, type, alias, visitor } = require("melody-types");
+const {
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    hasTagEndTokenTrimRight,
+    hasTagStartTokenTrimLeft,
+} = require("melody-parser");
+
+/**
+ * {% component Alert with { type: 'success' } only %}...{% endcomponent %}
+ */
+class ComponentStatement extends Node {
+    constructor(name, body) {
+        super();
+        this.name = name;
+        this.argument = null;
+        this.contextFree = false;
+        this.body = body;
+    }
+}
+type(ComponentStatement, "ComponentStatement");
+alias(ComponentStatement, "Statement", "Block");
+visitor(ComponentStatement, "name", "argument", "body");
+
+const ComponentParser = {
+    name: "component",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+        const startIndex = tokens.index;
+
+        let name = null;
+        let argument = null;
+        let contextFree = false;
+        try {
+            name = parser.matchExpression();
+            if (tokens.nextIf(Types.SYMBOL, "with")) {
+                argument = parser.matchExpression();
+            }
+            contextFree = !!tokens.nextIf(Types.SYMBOL, "only");
+        } catch (e) {
+            name = null;
+        }
+        if (!name || !tokens.test(Types.TAG_END)) {
+            // Component tags of other libraries are generic tags
+            tokens.index = startIndex;
+            return parser.getGenericParserFor(token.text).parse(parser, token);
+        }
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+        let closingTagStartToken;
+
+        const body = parser.parse((tokenText, token, tokens) => {
+            const result = !!(
+                token.type === Types.TAG_START &&
+                tokens.nextIf(Types.SYMBOL, "endcomponent")
+            );
+            if (result) {
+                closingTagStartToken = token;
+            }
+            return result;
+        }).expressions;
+
+        const componentStatement = new ComponentStatement(name, body);
+        componentStatement.argument = argument;
+        componentStatement.contextFree = contextFree;
+        setStartFromToken(componentStatement, token);
+        setEndFromToken(componentStatement, tokens.expect(Types.TAG_END));
+
+        componentStatement.trimRightComponent =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        componentStatement.trimLeftEndcomponent =
+            !!closingTagStartToken &&
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return componentStatement;
+    },
+};
+
+module.exports = {
+    tags: [ComponentParser],
+    ComponentStatement,
+};
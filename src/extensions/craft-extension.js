@@ -0,0 +1,534 @@
+/**
+ * Craft CMS Tags Extension for Twig Melody
+ * This extension adds support for the tags of Craft CMS:
+ * https://craftcms.com/docs/4.x/dev/tags.html
+ *
+ * It is part of the "craft" preset (see src/presets/craft.js).
+ */
+
+const { Node, Identifier, type, alias, visitor } = require("melody-types");
+const {
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    createNode,
+    hasTagEndTokenTrimRight,
+    hasTagStartTokenTrimLeft,
+} = require("melody-parser");
+const { tags: twigCacheTags } = require("./cache-extension");
+
+/**
+ * {% nav entry in entries %}...{% endnav %}
+ */
+class NavStatement extends Node {
+    constructor(item, sequence, body) {
+        super();
+        this.item = item;
+        this.sequence = sequence;
+        this.body = body;
+    }
+}
+type(NavStatement, "NavStatement");
+alias(NavStatement, "Statement", "Block");
+visitor(NavStatement, "item", "sequence", "body");
+
+/**
+ * {% ifchildren %}...{% endifchildren %}
+ */
+class IfChildrenStatement extends Node {
+    constructor(body) {
+        super();
+        this.body = body;
+    }
+}
+type(IfChildrenStatement, "IfChildrenStatement");
+alias(IfChildrenStatement, "Statement", "Block");
+visitor(IfChildrenStatement, "body");
+
+/**
+ * {% paginate query as pageInfo, entries %}
+ */
+class PaginateStatement extends Node {
+    constructor(query, pageInfo, entries) {
+        super();
+        this.query = query;
+        this.pageInfo = pageInfo;
+        this.entries = entries;
+    }
+}
+type(PaginateStatement, "PaginateStatement");
+alias(PaginateStatement, "Statement");
+visitor(PaginateStatement, "query", "pageInfo", "entries");
+
+/**
+ * {% switch value %}{% case 'a' %}...{% default %}...{% endswitch %}
+ */
+class SwitchStatement extends Node {
+    constructor(discriminant, cases) {
+        super();
+        this.discriminant = discriminant;
+        this.cases = cases;
+    }
+}
+type(SwitchStatement, "SwitchStatement");
+alias(SwitchStatement, "Statement", "Block");
+visitor(SwitchStatement, "discriminant", "cases");
+
+/**
+ * A {% case %} or {% default %} (without test) of a switch
+ */
+class SwitchCase extends Node {
+    constructor(test, body) {
+        super();
+        this.test = test;
+        this.body = body;
+    }
+}
+type(SwitchCase, "SwitchCase");
+visitor(SwitchCase, "test", "body");
+
+/**
+ * {% js %}...{% endjs %}, {% js 'script.js' %} and the same for css
+ */
+class AssetStatement extends Node {
+    constructor(tagName, url, body) {
+        super();
+        this.tagName = tagName;
+        this.url = url;
+        this.position = null;
+        this.event = null;
+        this.options = null;
+        this.body = body;
+    }
+}
+
+class JsStatement extends AssetStatement {}
+type(JsStatement, "JsStatement");
+alias(JsStatement, "Statement", "Block");
+visitor(JsStatement, "url", "position", "event", "options", "body");
+
+class CssStatement extends AssetStatement {}
+type(CssStatement, "CssStatement");
+alias(CssStatement, "Statement", "Block");
+visitor(CssStatement, "url", "position", "event", "options", "body");
+
+/**
+ * {% cache globally using key 'x' for 3 weeks if condition %}...{% endcache %}
+ */
+class CraftCacheStatement extends Node {
+    constructor(body) {
+        super();
+        this.globally = false;
+        this.key = null;
+        this.durationAmount = null;
+        this.durationUnit = null;
+        this.expiration = null;
+        this.conditionType = null;
+        this.condition = null;
+        this.body = body;
+    }
+}
+type(CraftCacheStatement, "CraftCacheStatement");
+alias(CraftCacheStatement, "Statement", "Block");
+visitor(
+    CraftCacheStatement,
+    "key",
+    "durationAmount",
+    "durationUnit",
+    "expiration",
+    "condition",
+    "body",
+);
+
+/**
+ * {% redirect 'url' 302 with notice 'message' %}
+ */
+class RedirectStatement extends Node {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.statusCode = null;
+        this.notice = null;
+        this.error = null;
+    }
+}
+type(RedirectStatement, "RedirectStatement");
+alias(RedirectStatement, "Statement");
+visitor(RedirectStatement, "url", "statusCode", "notice", "error");
+
+/**
+ * Tags consisting of a name and expressions, like {% header 'x' %},
+ * {% requireLogin %}, {% exit 404 %} or {% hook 'name' %}
+ */
+class CraftTagStatement extends Node {
+    constructor(tagName, args) {
+        super();
+        this.tagName = tagName;
+        this.arguments = args;
+    }
+}
+type(CraftTagStatement, "CraftTagStatement");
+alias(CraftTagStatement, "Statement");
+visitor(CraftTagStatement, "arguments");
+
+/**
+ * Parses a body up to one of the given tags. The tag name itself
+ * is left for the caller.
+ */
+const matchBody = (parser, ...tagNames) => {
+    let closingTagStartToken;
+    const body = parser.parse((tokenText, token, tokens) => {
+        const result =
+            token.type === Types.TAG_START &&
+            tagNames.some((tagName) => tokens.test(Types.SYMBOL, tagName));
+        if (result) {
+            closingTagStartToken = token;
+        }
+        return result;
+    }).expressions;
+    return { body, closingTagStartToken };
+};
+
+const matchIdentifier = (parser) => {
+    const token = parser.tokens.expect(Types.SYMBOL);
+    return createNode(Identifier, token, token.text);
+};
+
+const matchExpressionsUntilTagEnd = (parser) => {
+    const tokens = parser.tokens;
+    const expressions = [];
+    while (!tokens.test(Types.TAG_END) && !tokens.test(Types.EOF)) {
+        expressions.push(parser.matchExpression());
+    }
+    return expressions;
+};
+
+const NavParser = {
+    name: "nav",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const item = matchIdentifier(parser);
+        tokens.expect(Types.OPERATOR, "in");
+        const sequence = parser.matchExpression();
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+        const { body, closingTagStartToken } = matchBody(parser, "endnav");
+        tokens.expect(Types.SYMBOL, "endnav");
+
+        const navStatement = new NavStatement(item, sequence, body);
+        setStartFromToken(navStatement, token);
+        setEndFromToken(navStatement, tokens.expect(Types.TAG_END));
+
+        navStatement.trimRightNav = hasTagEndTokenTrimRight(openingTagEndToken);
+        navStatement.trimLeftEndnav =
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return navStatement;
+    },
+};
+
+const IfChildrenParser = {
+    name: "ifchildren",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+        const { body, closingTagStartToken } = matchBody(
+            parser,
+            "endifchildren",
+        );
+        tokens.expect(Types.SYMBOL, "endifchildren");
+
+        const ifChildrenStatement = new IfChildrenStatement(body);
+        setStartFromToken(ifChildrenStatement, token);
+        setEndFromToken(ifChildrenStatement, tokens.expect(Types.TAG_END));
+
+        ifChildrenStatement.trimRightIfchildren =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        ifChildrenStatement.trimLeftEndifchildren =
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return ifChildrenStatement;
+    },
+};
+
+const PaginateParser = {
+    name: "paginate",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const query = parser.matchExpression();
+        tokens.expect(Types.SYMBOL, "as");
+        let pageInfo = null;
+        let entries = matchIdentifier(parser);
+        if (tokens.nextIf(Types.COMMA)) {
+            pageInfo = entries;
+            entries = matchIdentifier(parser);
+        }
+
+        const paginateStatement = new PaginateStatement(
+            query,
+            pageInfo,
+            entries,
+        );
+        setStartFromToken(paginateStatement, token);
+        setEndFromToken(paginateStatement, tokens.expect(Types.TAG_END));
+
+        return paginateStatement;
+    },
+};
+
+const SwitchParser = {
+    name: "switch",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const discriminant = parser.matchExpression();
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+        // Anything before the first case is ignored by Craft
+        let { closingTagStartToken: tagStartToken } = matchBody(
+            parser,
+            "case",
+            "default",
+            "endswitch",
+        );
+
+        const cases = [];
+        while (!tokens.test(Types.SYMBOL, "endswitch")) {
+            const caseToken = tokens.expect(Types.SYMBOL);
+            const test =
+                caseToken.text === "case" ? parser.matchExpression() : null;
+            const caseTagEndToken = tokens.expect(Types.TAG_END);
+            const { body, closingTagStartToken } = matchBody(
+                parser,
+                "case",
+                "default",
+                "endswitch",
+            );
+            const switchCase = new SwitchCase(test, body);
+            setStartFromToken(switchCase, tagStartToken);
+            setEndFromToken(switchCase, caseTagEndToken);
+            switchCase.trimLeft = hasTagStartTokenTrimLeft(tagStartToken);
+            switchCase.trimRight = hasTagEndTokenTrimRight(caseTagEndToken);
+            cases.push(switchCase);
+            tagStartToken = closingTagStartToken;
+        }
+        tokens.expect(Types.SYMBOL, "endswitch");
+
+        const switchStatement = new SwitchStatement(discriminant, cases);
+        setStartFromToken(switchStatement, token);
+        setEndFromToken(switchStatement, tokens.expect(Types.TAG_END));
+
+        switchStatement.trimRightSwitch =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        switchStatement.trimLeftEndswitch =
+            hasTagStartTokenTrimLeft(tagStartToken);
+
+        return switchStatement;
+    },
+};
+
+const ASSET_KEYWORDS = {
+    at: "position",
+    on: "event",
+    with: "options",
+};
+
+const createAssetParser = (name, AssetType) => ({
+    name,
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        // {% js 'script.js' %} registers a file and has no body
+        const isKeyword = () =>
+            Object.keys(ASSET_KEYWORDS).some((keyword) =>
+                tokens.test(Types.SYMBOL, keyword),
+            );
+        const url =
+            tokens.test(Types.TAG_END) || isKeyword()
+                ? null
+                : parser.matchExpression();
+        const assetOptions = {};
+        while (isKeyword()) {
+            const keyword = tokens.next().text;
+            assetOptions[ASSET_KEYWORDS[keyword]] = parser.matchExpression();
+        }
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+
+        let body = null;
+        let closingTagStartToken;
+        if (!url) {
+            // The code was replaced with a placeholder before parsing,
+            // which is formatted by embed.js
+            ({ body, closingTagStartToken } = matchBody(parser, `end${name}`));
+            tokens.expect(Types.SYMBOL, `end${name}`);
+            tokens.expect(Types.TAG_END);
+        }
+
+        const assetStatement = new AssetType(name, url, body);
+        Object.assign(assetStatement, assetOptions);
+        setStartFromToken(assetStatement, token);
+        setEndFromToken(assetStatement, tokens.la(-1));
+
+        assetStatement.trimRightAsset =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        assetStatement.trimLeftEndasset =
+            !!closingTagStartToken &&
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return assetStatement;
+    },
+});
+
+const CRAFT_CACHE_KEYWORDS = [
+    "globally",
+    "using",
+    "for",
+    "until",
+    "if",
+    "unless",
+];
+
+const twigCacheParser = twigCacheTags.find((tag) => tag.name === "cache");
+
+const CraftCacheParser = {
+    name: "cache",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const isCraftSyntax =
+            tokens.test(Types.TAG_END) ||
+            CRAFT_CACHE_KEYWORDS.some((keyword) =>
+                tokens.test(Types.SYMBOL, keyword),
+            );
+        if (!isCraftSyntax) {
+            // {% cache 'key' ttl(300) %} of the Twig CacheExtension
+            return twigCacheParser.parse(parser, token);
+        }
+
+        const cacheStatement = new CraftCacheStatement(null);
+        while (!tokens.test(Types.TAG_END) && !tokens.test(Types.EOF)) {
+            const keywordToken = tokens.expect(Types.SYMBOL);
+            switch (keywordToken.text) {
+                case "globally":
+                    cacheStatement.globally = true;
+                    break;
+                case "using":
+                    tokens.expect(Types.SYMBOL, "key");
+                    cacheStatement.key = parser.matchExpression();
+                    break;
+                case "for":
+                    cacheStatement.durationAmount = parser.matchExpression();
+                    cacheStatement.durationUnit = matchIdentifier(parser);
+                    break;
+                case "until":
+                    cacheStatement.expiration = parser.matchExpression();
+                    break;
+                case "if":
+                case "unless":
+                    cacheStatement.conditionType = keywordToken.text;
+                    cacheStatement.condition = parser.matchExpression();
+                    break;
+                default:
+                    parser.error({
+                        title: `Unexpected "${keywordToken.text}" in cache tag`,
+                        pos: keywordToken.pos,
+                        advice: `Expected one of ${CRAFT_CACHE_KEYWORDS.join(", ")}`,
+                    });
+            }
+        }
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+        const { body, closingTagStartToken } = matchBody(parser, "endcache");
+        tokens.expect(Types.SYMBOL, "endcache");
+
+        cacheStatement.body = body;
+        setStartFromToken(cacheStatement, token);
+        setEndFromToken(cacheStatement, tokens.expect(Types.TAG_END));
+
+        cacheStatement.trimRightCache =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        cacheStatement.trimLeftEndcache =
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return cacheStatement;
+    },
+};
+
+const RedirectParser = {
+    name: "redirect",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const redirectStatement = new RedirectStatement(
+            parser.matchExpression(),
+        );
+        if (!tokens.test(Types.TAG_END) && !tokens.test(Types.SYMBOL, "with")) {
+            redirectStatement.statusCode = parser.matchExpression();
+        }
+        while (tokens.nextIf(Types.SYMBOL, "with")) {
+            const flashType = tokens.expect(Types.SYMBOL);
+            if (flashType.text !== "notice" && flashType.text !== "error") {
+                parser.error({
+                    title: 'Expected "notice" or "error"',
+                    pos: flashType.pos,
+                });
+            }
+            redirectStatement[flashType.text] = parser.matchExpression();
+        }
+        setStartFromToken(redirectStatement, token);
+        setEndFromToken(redirectStatement, tokens.expect(Types.TAG_END));
+
+        return redirectStatement;
+    },
+};
+
+const createSimpleTagParser = (name) => ({
+    name,
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const craftTagStatement = new CraftTagStatement(
+            name,
+            matchExpressionsUntilTagEnd(parser),
+        );
+        setStartFromToken(craftTagStatement, token);
+        setEndFromToken(craftTagStatement, tokens.expect(Types.TAG_END));
+
+        return craftTagStatement;
+    },
+});
+
+const SIMPLE_TAGS = [
+    "children",
+    "header",
+    "requireLogin",
+    "requireGuest",
+    "requireAdmin",
+    "requirePermission",
+    "exit",
+    "hook",
+];
+
+module.exports = {
+    tags: [
+        NavParser,
+        IfChildrenParser,
+        PaginateParser,
+        SwitchParser,
+        createAssetParser("js", JsStatement),
+        createAssetParser("css", CssStatement),
+        CraftCacheParser,
+        RedirectParser,
+        ...SIMPLE_TAGS.map(createSimpleTagParser),
+    ],
+    NavStatement,
+    IfChildrenStatement,
+    PaginateStatement,
+    SwitchStatement,
+    SwitchCase,
+    JsStatement,
+    CssStatement,
+    CraftCacheStatement,
+    RedirectStatement,
+    CraftTagStatement,
+};
@@ -0,0 +1,240 @@
+/**
+ * Operators Extension for Twig Melody
+ * melody-extension-core predates Twig 3. This extension adds the newer
+ * operators of Twig 3.x and fixes the associativity of "**" and "??":
+ * https://twig.symfony.com/doc/3.x/templates.html#expressions
+ */
+
+const {
+    Node,
+    BinaryExpression,
+    MemberExpression,
+    CallExpression,
+    ObjectExpression,
+    ObjectProperty,
+    Identifier,
+    NumericLiteral,
+    type,
+    alias,
+    visitor,
+    is,
+} = require("melody-types");
+const {
+    LEFT,
+    RIGHT,
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    copyStart,
+    copyEnd,
+    createNode,
+} = require("melody-parser");
+const { extension: coreExtension } = require("melody-extension-core");
+
+/**
+ * ...items in arrays, hashes and arguments
+ */
+class SpreadExpression extends Node {
+    constructor(argument) {
+        super();
+        this.argument = argument;
+    }
+}
+type(SpreadExpression, "SpreadExpression");
+alias(SpreadExpression, "Expression");
+visitor(SpreadExpression, "argument");
+
+const createBinaryOperator = ({
+    text,
+    type: typeName,
+    precedence,
+    associativity = LEFT,
+}) => {
+    // Same class name as in melody-extension-core, so that the
+    // printer treats all binary operators alike
+    class BinarySubclass extends BinaryExpression {
+        constructor(left, right) {
+            super(text, left, right);
+        }
+    }
+    type(BinarySubclass, typeName);
+    alias(BinarySubclass, "BinaryExpression", "Binary", "Expression");
+    visitor(BinarySubclass, "left", "right");
+
+    return {
+        text,
+        precedence,
+        associativity,
+        createNode(token, lhs, rhs) {
+            const node = new BinarySubclass(lhs, rhs);
+            copyStart(node, lhs);
+            copyEnd(node, rhs);
+            return node;
+        },
+    };
+};
+
+const getCoreOperator = (text) =>
+    coreExtension.binaryOperators.find((op) => op.text === text);
+
+/**
+ * a?.b and a?.b(c) are member and call expressions, which
+ * are marked as null-safe
+ */
+const nullSafeOperator = {
+    text: "?.",
+    precedence: 512,
+    associativity: LEFT,
+    parse(parser, token, expr) {
+        const tokens = parser.tokens;
+        const propertyToken = tokens.expect(Types.SYMBOL);
+        const property = createNode(
+            Identifier,
+            propertyToken,
+            propertyToken.text,
+        );
+        let node = new MemberExpression(expr, property, false);
+        node.nullSafe = true;
+        copyStart(node, expr);
+        copyEnd(node, property);
+        if (tokens.test(Types.LPAREN)) {
+            const callExpression = new CallExpression(
+                node,
+                parser.matchArguments(),
+            );
+            copyStart(callExpression, node);
+            setEndFromToken(callExpression, tokens.la(-1));
+            node = callExpression;
+        }
+        return parser.matchPostfixExpression(node);
+    },
+};
+
+const binaryOperators = [
+    {
+        ...getCoreOperator("**"),
+        associativity: RIGHT,
+    },
+    {
+        ...getCoreOperator("??"),
+        associativity: RIGHT,
+    },
+    nullSafeOperator,
+    ...[
+        { text: "xor", type: "BinaryXorExpression", precedence: 12 },
+        { text: "===", type: "BinaryStrictEqualsExpression", precedence: 20 },
+        {
+            text: "!==",
+            type: "BinaryStrictNotEqualsExpression",
+            precedence: 20,
+        },
+        { text: "<=>", type: "BinarySpaceshipExpression", precedence: 20 },
+        { text: "has some", type: "BinaryHasSomeExpression", precedence: 20 },
+        {
+            text: "has every",
+            type: "BinaryHasEveryExpression",
+            precedence: 20,
+        },
+    ].map(createBinaryOperator),
+];
+
+const unaryOperators = [
+    {
+        text: "...",
+        precedence: 0,
+        createNode(token, expr) {
+            const node = new SpreadExpression(expr);
+            setStartFromToken(node, token);
+            copyEnd(node, expr);
+            return node;
+        },
+    },
+];
+
+/**
+ * Replaces Parser.prototype.matchMap of melody-parser, which does
+ * not know spread items like {...defaults, size: 'lg'}
+ */
+function matchMap() {
+    const tokens = this.tokens;
+    const obj = new ObjectExpression();
+    setStartFromToken(obj, tokens.expect(Types.LBRACKET));
+    while (!tokens.test(Types.RBRACKET) && !tokens.test(Types.EOF)) {
+        let token;
+        if ((token = tokens.nextIf(Types.OPERATOR, "..."))) {
+            const spread = new SpreadExpression(this.matchExpression());
+            setStartFromToken(spread, token);
+            copyEnd(spread, spread.argument);
+            obj.properties.push(spread);
+        } else {
+            let computed = false;
+            let key;
+            if (tokens.test(Types.STRING_START)) {
+                key = this.matchStringExpression();
+                computed = !is(key, "StringLiteral");
+            } else if ((token = tokens.nextIf(Types.SYMBOL))) {
+                key = createNode(Identifier, token, token.text);
+            } else if ((token = tokens.nextIf(Types.NUMBER))) {
+                key = createNode(NumericLiteral, token, Number(token.text));
+            } else if (tokens.test(Types.LPAREN)) {
+                key = this.matchExpression();
+                computed = true;
+            } else {
+                this.error({
+                    title: "Invalid map key",
+                    pos: tokens.la(0).pos,
+                    advice:
+                        "Key must be a string, symbol, number or spread but was " +
+                        tokens.next(),
+                });
+            }
+            tokens.expect(Types.COLON);
+            const value = this.matchExpression();
+            const prop = new ObjectProperty(key, value, computed);
+            copyStart(prop, key);
+            copyEnd(prop, value);
+            obj.properties.push(prop);
+        }
+        if (!tokens.test(Types.RBRACKET)) {
+            tokens.expect(Types.COMMA);
+            // support trailing comma
+            if (tokens.test(Types.RBRACKET)) {
+                break;
+            }
+        }
+    }
+    setEndFromToken(obj, tokens.expect(Types.RBRACKET));
+    return obj;
+}
+
+/**
+ * Precedences and associativity of all binary operators, as used by
+ * the printer. Twig 3.15 deprecated the current precedence of some
+ * operators; the future values (effective in Twig 4) are given as
+ * futurePrecedence.
+ */
+const FUTURE_PRECEDENCE = {
+    "~": 27,
+    "??": 5,
+};
+const operatorTable = [
+    ...coreExtension.binaryOperators,
+    ...binaryOperators,
+].reduce((acc, op) => {
+    acc[op.text] = {
+        precedence: op.precedence,
+        futurePrecedence: FUTURE_PRECEDENCE[op.text] || op.precedence,
+        associativity: op.associativity,
+    };
+    return acc;
+}, {});
+
+module.exports = {
+    binaryOperators,
+    unaryOperators,
+    extendParser(parser) {
+        parser.matchMap = matchMap;
+    },
+    operatorTable,
+    SpreadExpression,
+};
@@ -0,0 +1,245 @@
+/**
+ * Symfony Tags Extension for Twig Melody
+ * This extension adds support for the tags of the Symfony TwigBridge:
+ * https://symfony.com/doc/current/reference/twig_reference.html#tags
+ *
+ * It is part of the "symfony" preset (see src/presets/symfony.js).
+ */
+
+const { Node, type, alias, visitor } = require("melody-types");
+const {
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    hasTagEndTokenTrimRight,
+    hasTagStartTokenTrimLeft,
+} = require("melody-parser");
+const { matchVerbatimContent } = require("./verbatim-extension");
+
+/**
+ * {% trans with { '%name%': name } from 'app' into 'fr' %}...{% endtrans %}
+ */
+class TransStatement extends Node {
+    constructor(placeholder) {
+        super();
+        this.count = null;
+        this.argument = null;
+        this.domain = null;
+        this.locale = null;
+        this.placeholder = placeholder;
+    }
+}
+type(TransStatement, "TransStatement");
+alias(TransStatement, "Statement", "Block");
+visitor(TransStatement, "count", "argument", "domain", "locale");
+
+/**
+ * {% trans_default_domain 'app' %}
+ */
+class TransDefaultDomainStatement extends Node {
+    constructor(domain) {
+        super();
+        this.domain = domain;
+    }
+}
+type(TransDefaultDomainStatement, "TransDefaultDomainStatement");
+alias(TransDefaultDomainStatement, "Statement");
+visitor(TransDefaultDomainStatement, "domain");
+
+/**
+ * {% form_theme form with ['form/fields.html.twig'] only %}
+ * {% form_theme form 'form/fields.html.twig' 'form/extra.html.twig' %}
+ */
+class FormThemeStatement extends Node {
+    constructor(form, resources) {
+        super();
+        this.form = form;
+        this.resources = resources;
+        this.usesWith = false;
+        this.contextFree = false;
+    }
+}
+type(FormThemeStatement, "FormThemeStatement");
+alias(FormThemeStatement, "Statement");
+visitor(FormThemeStatement, "form", "resources");
+
+/**
+ * {% stopwatch 'event' %}...{% endstopwatch %}
+ */
+class StopwatchStatement extends Node {
+    constructor(name, body) {
+        super();
+        this.name = name;
+        this.body = body;
+    }
+}
+type(StopwatchStatement, "StopwatchStatement");
+alias(StopwatchStatement, "Statement", "Block");
+visitor(StopwatchStatement, "name", "body");
+
+/**
+ * {% dump %} or {% dump foo, bar %}
+ */
+class DumpStatement extends Node {
+    constructor(args) {
+        super();
+        this.arguments = args;
+    }
+}
+type(DumpStatement, "DumpStatement");
+alias(DumpStatement, "Statement");
+visitor(DumpStatement, "arguments");
+
+const TransParser = {
+    name: "trans",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        // Same order as in Symfony's TransTokenParser
+        const options = {};
+        ["count", "with", "from", "into"].forEach((keyword) => {
+            if (tokens.nextIf(Types.SYMBOL, keyword)) {
+                options[keyword] = parser.matchExpression();
+            }
+        });
+
+        // The message is kept exactly as written (see templateScanner.js)
+        const {
+            placeholder,
+            openingTagEndToken,
+            closingTagStartToken,
+            closingTagEndToken,
+        } = matchVerbatimContent(parser, "trans");
+
+        const transStatement = new TransStatement(placeholder);
+        transStatement.count = options.count || null;
+        transStatement.argument = options.with || null;
+        transStatement.domain = options.from || null;
+        transStatement.locale = options.into || null;
+        setStartFromToken(transStatement, token);
+        setEndFromToken(transStatement, closingTagEndToken);
+
+        transStatement.trimRightTrans =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        transStatement.trimLeftEndtrans =
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return transStatement;
+    },
+};
+
+const TransDefaultDomainParser = {
+    name: "trans_default_domain",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const transDefaultDomainStatement = new TransDefaultDomainStatement(
+            parser.matchExpression(),
+        );
+        setStartFromToken(transDefaultDomainStatement, token);
+        setEndFromToken(
+            transDefaultDomainStatement,
+            tokens.expect(Types.TAG_END),
+        );
+
+        return transDefaultDomainStatement;
+    },
+};
+
+const FormThemeParser = {
+    name: "form_theme",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const form = parser.matchExpression();
+        const resources = [];
+        const usesWith = !!tokens.nextIf(Types.SYMBOL, "with");
+        let contextFree = false;
+        if (usesWith) {
+            resources.push(parser.matchExpression());
+            contextFree = !!tokens.nextIf(Types.SYMBOL, "only");
+        } else {
+            while (!tokens.test(Types.TAG_END) && !tokens.test(Types.EOF)) {
+                resources.push(parser.matchExpression());
+            }
+        }
+
+        const formThemeStatement = new FormThemeStatement(form, resources);
+        formThemeStatement.usesWith = usesWith;
+        formThemeStatement.contextFree = contextFree;
+        setStartFromToken(formThemeStatement, token);
+        setEndFromToken(formThemeStatement, tokens.expect(Types.TAG_END));
+
+        return formThemeStatement;
+    },
+};
+
+const StopwatchParser = {
+    name: "stopwatch",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const name = parser.matchExpression();
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+        let closingTagStartToken;
+
+        const body = parser.parse((tokenText, token, tokens) => {
+            const result = !!(
+                token.type === Types.TAG_START &&
+                tokens.nextIf(Types.SYMBOL, "endstopwatch")
+            );
+            if (result) {
+                closingTagStartToken = token;
+            }
+            return result;
+        }).expressions;
+
+        const stopwatchStatement = new StopwatchStatement(name, body);
+        setStartFromToken(stopwatchStatement, token);
+        setEndFromToken(stopwatchStatement, tokens.expect(Types.TAG_END));
+
+        stopwatchStatement.trimRightStopwatch =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        stopwatchStatement.trimLeftEndstopwatch =
+            !!closingTagStartToken &&
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return stopwatchStatement;
+    },
+};
+
+const DumpParser = {
+    name: "dump",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        const args = [];
+        while (!tokens.test(Types.TAG_END) && !tokens.test(Types.EOF)) {
+            args.push(parser.matchExpression());
+            if (!tokens.test(Types.TAG_END)) {
+                tokens.expect(Types.COMMA);
+            }
+        }
+
+        const dumpStatement = new DumpStatement(args);
+        setStartFromToken(dumpStatement, token);
+        setEndFromToken(dumpStatement, tokens.expect(Types.TAG_END));
+
+        return dumpStatement;
+    },
+};
+
+module.exports = {
+    tags: [
+        TransParser,
+        TransDefaultDomainParser,
+        FormThemeParser,
+        StopwatchParser,
+        DumpParser,
+    ],
+    TransStatement,
+    TransDefaultDomainStatement,
+    FormThemeStatement,
+    StopwatchStatement,
+    DumpStatement,
+};
@@ -0,0 +1,103 @@
+/**
+ * Test Extension for Twig Melody
+ * This extension adds the tests of Twig 3.x that melody-extension-core
+ * does not know, and records the name of every test on its node:
+ * https://twig.symfony.com/doc/3.x/tests/index.html
+ */
+
+const { Node, type, alias, visitor } = require("melody-types");
+const {
+    LEFT,
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    copyLoc,
+} = require("melody-parser");
+const { extension: coreExtension } = require("melody-extension-core");
+
+const createTest = (text, typeName) => {
+    // Same class name as in melody-extension-core, so that the
+    // printer treats all tests alike
+    class TestExpression extends Node {
+        constructor(expr, args) {
+            super();
+            this.expression = expr;
+            this.arguments = args;
+        }
+    }
+    type(TestExpression, typeName);
+    alias(TestExpression, "Expression", "TestExpression");
+    visitor(TestExpression, "expression", "arguments");
+
+    return {
+        text,
+        createNode: (expr, args) => new TestExpression(expr, args),
+    };
+};
+
+const tests = [
+    createTest("sequence", "TestSequenceExpression"),
+    createTest("mapping", "TestMappingExpression"),
+    createTest("true", "TestTrueExpression"),
+    createTest("false", "TestFalseExpression"),
+];
+
+// Tests like "null" or "true" are lexed as literals
+const TEST_NAME_TOKENS = [Types.SYMBOL, Types.NULL, Types.TRUE, Types.FALSE];
+
+const getTestName = (parser) => {
+    const tokens = parser.tokens;
+    const nameToken = tokens.la(0);
+    if (TEST_NAME_TOKENS.indexOf(nameToken.type) < 0) {
+        tokens.expect(Types.SYMBOL);
+    }
+    tokens.next();
+    if (parser.hasTest(nameToken.text)) {
+        return nameToken.text;
+    }
+    // Tests like "same as" consist of two words
+    const testName = nameToken.text + " " + tokens.expect(Types.SYMBOL).text;
+    if (!parser.hasTest(testName)) {
+        parser.error({
+            title: 'Unknown test "' + testName + '"',
+            pos: nameToken.pos,
+        });
+    }
+    return testName;
+};
+
+const notOperator = coreExtension.unaryOperators.find(
+    (op) => op.text === "not",
+);
+
+/**
+ * Replaces the "is" operator of melody-extension-core, which only
+ * knows tests named by symbols, and does not keep the test name
+ */
+const isOperator = {
+    text: "is",
+    precedence: 100,
+    associativity: LEFT,
+    parse(parser, token, expr) {
+        const tokens = parser.tokens;
+        const notToken = tokens.nextIf(Types.OPERATOR, "not");
+        const testName = getTestName(parser);
+        const args = tokens.test(Types.LPAREN) ? parser.matchArguments() : null;
+        const testExpression = parser.getTest(testName).createNode(expr, args);
+        testExpression.testName = testName;
+        setStartFromToken(testExpression, token);
+        setEndFromToken(testExpression, tokens.la(-1));
+        if (notToken) {
+            return copyLoc(
+                notOperator.createNode(notToken, testExpression),
+                testExpression,
+            );
+        }
+        return testExpression;
+    },
+};
+
+module.exports = {
+    binaryOperators: [isOperator],
+    tests,
+};
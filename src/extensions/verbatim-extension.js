@@ -0,0 +1,79 @@
+/**
+ * Verbatim Tag Extension for Twig Melody
+ * This extension adds support for the verbatim tag (and the raw tag it
+ * replaced in Twig 1.12): https://twig.symfony.com/doc/3.x/tags/verbatim.html
+ *
+ * The content of these blocks is replaced with a placeholder before
+ * parsing (see templateScanner.js), so the parser only has to read
+ * that placeholder.
+ */
+
+const { Node, type, alias } = require("melody-types");
+const {
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    hasTagEndTokenTrimRight,
+    hasTagStartTokenTrimLeft,
+} = require("melody-parser");
+
+/**
+ * {% verbatim %}...{% endverbatim %}
+ */
+class VerbatimBlock extends Node {
+    constructor(tagName, placeholder) {
+        super();
+        this.tagName = tagName;
+        this.placeholder = placeholder;
+    }
+}
+type(VerbatimBlock, "VerbatimBlock");
+alias(VerbatimBlock, "Statement", "Block");
+
+/**
+ * Reads the rest of a tag whose content was replaced with a placeholder,
+ * starting at the end of the opening tag
+ */
+const matchVerbatimContent = (parser, tagName) => {
+    const tokens = parser.tokens;
+    const openingTagEndToken = tokens.expect(Types.TAG_END);
+    const placeholder = tokens.test(Types.TEXT) ? tokens.next().text : "";
+    const closingTagStartToken = tokens.expect(Types.TAG_START);
+    tokens.expect(Types.SYMBOL, `end${tagName}`);
+    const closingTagEndToken = tokens.expect(Types.TAG_END);
+    return {
+        placeholder,
+        openingTagEndToken,
+        closingTagStartToken,
+        closingTagEndToken,
+    };
+};
+
+const createVerbatimParser = (name) => ({
+    name,
+    parse(parser, token) {
+        const {
+            placeholder,
+            openingTagEndToken,
+            closingTagStartToken,
+            closingTagEndToken,
+        } = matchVerbatimContent(parser, name);
+
+        const verbatimBlock = new VerbatimBlock(name, placeholder);
+        setStartFromToken(verbatimBlock, token);
+        setEndFromToken(verbatimBlock, closingTagEndToken);
+
+        verbatimBlock.trimRightVerbatim =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        verbatimBlock.trimLeftEndverbatim =
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return verbatimBlock;
+    },
+});
+
+module.exports = {
+    tags: [createVerbatimParser("verbatim"), createVerbatimParser("raw")],
+    VerbatimBlock,
+    matchVerbatimContent,
+};
@@ -0,0 +1,73 @@
+/**
+ * With Tag Extension for Twig Melody
+ * This extension adds support for the with tag of Twig 3.x:
+ * https://twig.symfony.com/doc/3.x/tags/with.html
+ */
+
+const { Node, type, alias, visitor } = require("melody-types");
+const {
+    Types,
+    setStartFromToken,
+    setEndFromToken,
+    hasTagEndTokenTrimRight,
+    hasTagStartTokenTrimLeft,
+} = require("melody-parser");
+
+/**
+ * {% with { foo: 1 } only %}...{% endwith %}
+ */
+class WithStatement extends Node {
+    constructor(argument, body) {
+        super();
+        this.argument = argument;
+        this.contextFree = false;
+        this.body = body;
+    }
+}
+type(WithStatement, "WithStatement");
+alias(WithStatement, "Statement", "Block");
+visitor(WithStatement, "argument", "body");
+
+const WithParser = {
+    name: "with",
+    parse(parser, token) {
+        const tokens = parser.tokens;
+
+        // Like in Twig, "only" is only a keyword after the variables
+        const argument = tokens.test(Types.TAG_END)
+            ? null
+            : parser.matchExpression();
+        const contextFree = !!tokens.nextIf(Types.SYMBOL, "only");
+        const openingTagEndToken = tokens.expect(Types.TAG_END);
+        let closingTagStartToken;
+
+        const body = parser.parse((tokenText, token, tokens) => {
+            const result = !!(
+                token.type === Types.TAG_START &&
+                tokens.nextIf(Types.SYMBOL, "endwith")
+            );
+            if (result) {
+                closingTagStartToken = token;
+            }
+            return result;
+        }).expressions;
+
+        const withStatement = new WithStatement(argument, body);
+        withStatement.contextFree = contextFree;
+        setStartFromToken(withStatement, token);
+        setEndFromToken(withStatement, tokens.expect(Types.TAG_END));
+
+        withStatement.trimRightWith =
+            hasTagEndTokenTrimRight(openingTagEndToken);
+        withStatement.trimLeftEndwith =
+            !!closingTagStartToken &&
+            hasTagStartTokenTrimLeft(closingTagStartToken);
+
+        return withStatement;
+    },
+};
+
+module.exports = {
+    tags: [WithParser],
+    WithStatement,
+};
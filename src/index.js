@@ -1,9 +1,23 @@
 "use strict";
 
 const { print } = require("./printer.js");
+const { embed } = require("./embed.js");
 const { parse } = require("./parser.js");
 const symbols = require("./util/publicSymbols.js");
 const publicFunctions = require("./util/publicFunctions.js");
+const {
+    locStart,
+    locEnd,
+    getChildNodeKeys,
+    stripHtmlCommentChars,
+    stripTwigCommentChars,
+} = require("./util");
+const {
+    isInlineComment,
+    canAttachInlineComment,
+    handleInlineComment,
+    printInlineComment,
+} = require("./util/inlineComments.js");
 
 const languages = [
     {
@@ -20,16 +34,33 @@ const languages = [
     },
 ];
 
-function hasPragma(/* text */) {
-    return false;
-}
+const LEADING_COMMENT = /^\s*(\{#[\s\S]*?#\}|<!--[\s\S]*?-->)/;
+const PRAGMA = /(^|\s)@(format|prettier)(\s|$)/;
+
+const stripCommentChars = (comment) =>
+    comment.startsWith("{#")
+        ? stripTwigCommentChars(comment)
+        : stripHtmlCommentChars(comment);
 
-function locStart(/* node */) {
-    return -1;
+// A pragma can be in any of the comments at the very top of the
+// file, either on its own or as a line of a larger docblock
+function hasPragma(text) {
+    let rest = text;
+    let match = LEADING_COMMENT.exec(rest);
+    while (match) {
+        if (PRAGMA.test(stripCommentChars(match[1]))) {
+            return true;
+        }
+        rest = rest.slice(match[0].length);
+        match = LEADING_COMMENT.exec(rest);
+    }
+    return false;
 }
 
-function locEnd(/* node */) {
-    return -1;
+// Existing leading comments are kept as they are, the pragma
+// goes into a comment of its own
+function insertPragma(text) {
+    return "{# @format #}\n\n" + text.trimStart();
 }
 
 const parsers = {
@@ -39,23 +70,22 @@ const parsers = {
         hasPragma,
         locStart,
         locEnd,
-        
     },
 };
 
+// Only the "# comments" within Twig code are Prettier comments,
+// the others are nodes of their own
 function canAttachComment(node) {
-    return node.ast_type && node.ast_type !== "comment";
+    return canAttachInlineComment(node);
 }
 
-function printComment(commentPath) {
+function printComment(commentPath, options) {
     const comment = commentPath.getValue();
 
-    switch (comment.ast_type) {
-        case "comment":
-            return comment.value;
-        default:
-            throw new Error("Not a comment: " + JSON.stringify(comment));
+    if (isInlineComment(comment)) {
+        return printInlineComment(commentPath, options);
     }
+    throw new Error("Not a comment: " + JSON.stringify(comment));
 }
 
 function clean(ast, newObj) {
@@ -66,11 +96,18 @@ function clean(ast, newObj) {
 const printers = {
     melody: {
         print,
+        embed,
         // hasPrettierIgnore,
         printComment,
+        insertPragma,
         canAttachComment,
+        handleComments: {
+            ownLine: handleInlineComment,
+            endOfLine: handleInlineComment,
+            remaining: handleInlineComment,
+        },
         massageAstNode: clean,
-        willPrintOwnComments: () => true,
+        getVisitorKeys: getChildNodeKeys,
     },
 };
 
@@ -90,6 +127,85 @@ const options = {
         default: [{ value: [] }],
         description: "Make custom Twig tags known to the parser.",
     },
+    twigTagLayouts: {
+        type: "string",
+        category: "Global",
+        default: "",
+        // An object in configuration files, JSON on the command line
+        exception: (value) => typeof value === "object",
+        description:
+            'Indentation of generic multi-tags, e.g. { "tabs": { "intermediateIndent": 1, "bodyIndent": 2 } }',
+    },
+    twigAutoPairTags: {
+        type: "boolean",
+        category: "Global",
+        default: false,
+        description:
+            "Pair unknown tags like {% foo %}...{% endfoo %} without twigMultiTags",
+    },
+    twigPreformattedElements: {
+        type: "string",
+        category: "Global",
+        array: true,
+        default: [{ value: [] }],
+        description:
+            "Elements (like code) or classes (like .whitespace-pre) whose content is kept like that of <pre>",
+    },
+    twigWhitespaceSensitivity: {
+        type: "choice",
+        category: "Global",
+        default: "css",
+        description: "How to handle whitespace around and in HTML elements",
+        choices: [
+            {
+                value: "css",
+                description:
+                    "Respect the default value of the CSS display property",
+            },
+            {
+                value: "strict",
+                description: "Whitespace around all elements is significant",
+            },
+            {
+                value: "ignore",
+                description: "Whitespace around all elements is insignificant",
+            },
+        ],
+    },
+    twigWhitespaceControl: {
+        type: "choice",
+        category: "Global",
+        default: "preserve",
+        description:
+            "Whitespace control (- and ~) of tags next to block elements and inline text",
+        choices: [
+            { value: "preserve", description: "Keep it as it is" },
+            {
+                value: "minimal",
+                description:
+                    "Remove it where only whitespace separates the tag from a block element",
+            },
+            {
+                value: "explicit",
+                description:
+                    "Add it where the tag touches inline text without whitespace",
+            },
+        ],
+    },
+    twigProseWrap: {
+        type: "choice",
+        category: "Global",
+        default: "always",
+        description: "How to wrap text and inline elements",
+        choices: [
+            {
+                value: "always",
+                description: "Wrap text that exceeds the print width",
+            },
+            { value: "never", description: "Unwrap each paragraph" },
+            { value: "preserve", description: "Keep the line breaks" },
+        ],
+    },
     twigSingleQuote: {
         type: "boolean",
         category: "Global",
@@ -121,6 +237,36 @@ const options = {
         default: false,
         description: "Output the Twig block name in the 'endblock' tag",
     },
+    twigPreset: {
+        type: "choice",
+        category: "Global",
+        default: "none",
+        description: "Support the Twig tags of a framework",
+        choices: [
+            { value: "none", description: "Only Twig's own tags" },
+            {
+                value: "symfony",
+                description:
+                    "Symfony: trans, trans_default_domain, form_theme, stopwatch, dump",
+            },
+            {
+                value: "craft",
+                description:
+                    "Craft CMS: nav, paginate, switch, js, css, cache, redirect, header, …",
+            },
+            {
+                value: "drupal",
+                description:
+                    "Drupal: trans with plural, {{ attributes }} in start tags",
+            },
+        ],
+    },
+    twigRewriteFilterToApply: {
+        type: "boolean",
+        category: "Global",
+        default: false,
+        description: "Print {% filter %} blocks as {% apply %} blocks (Twig 3)",
+    },
     twigMelodyAlpineSupport: {
         type: "boolean",
         category: "Global",
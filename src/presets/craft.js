@@ -0,0 +1,16 @@
+/**
+ * Preset for Craft CMS projects (twigPreset: "craft")
+ */
+
+const craftExtension = require("../extensions/craft-extension");
+
+module.exports = {
+    melodyExtensions: [craftExtension],
+    verbatimTags: [],
+    // The code of {% js %} and {% css %} is formatted like the
+    // content of <script> and <style> elements
+    embeddedTags: {
+        js: "script",
+        css: "style",
+    },
+};
@@ -0,0 +1,17 @@
+/**
+ * Preset for Drupal themes (twigPreset: "drupal")
+ */
+
+const { tags: symfonyTags } = require("../extensions/symfony-extension");
+
+module.exports = {
+    // Drupal's {% trans %} accepts the same options as the one of
+    // Symfony. A {% plural count %} tag is part of the message.
+    melodyExtensions: [
+        { tags: symfonyTags.filter((tag) => tag.name === "trans") },
+    ],
+    verbatimTags: ["trans"],
+    // {{ attributes }} prints an Attribute object with a leading space,
+    // so it is written directly after the element name: <div{{ attributes }}>
+    attributeObjects: true,
+};
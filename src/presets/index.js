@@ -0,0 +1,32 @@
+/**
+ * Presets bundle the Twig tags of a framework. Like plugins (see
+ * twigMelodyPlugins), a preset provides melodyExtensions for the
+ * parser. It can also name tags whose content must be kept as it is
+ * (verbatimTags), or is formatted as script or style (embeddedTags).
+ * With attributeObjects, Twig output written directly after the name
+ * of an element (<div{{ attributes }}>) stays attached to it.
+ */
+
+const craft = require("./craft.js");
+const drupal = require("./drupal.js");
+const symfony = require("./symfony.js");
+
+const presets = {
+    craft,
+    drupal,
+    symfony,
+};
+
+const EMPTY_PRESET = {
+    melodyExtensions: [],
+    verbatimTags: [],
+    embeddedTags: {},
+    attributeObjects: false,
+};
+
+const getPreset = (options) =>
+    (options && presets[options.twigPreset]) || EMPTY_PRESET;
+
+module.exports = {
+    getPreset,
+};
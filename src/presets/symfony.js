@@ -0,0 +1,12 @@
+/**
+ * Preset for Symfony projects (twigPreset: "symfony")
+ */
+
+const symfonyExtension = require("../extensions/symfony-extension");
+
+module.exports = {
+    melodyExtensions: [symfonyExtension],
+    // Translation messages must not change, otherwise their
+    // keys would no longer match
+    verbatimTags: ["trans"],
+};
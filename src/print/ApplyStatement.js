@@ -0,0 +1,34 @@
+const prettier = require("prettier");
+const { concat, group, line, hardline } = prettier.doc.builders;
+const {
+    FILTER_BLOCK,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const printOpeningGroup = (node, path, print) => {
+    const parts = [printTagStart(node.trimLeft) + " ", "apply "];
+    const printedExpression = path.call(print, "filterExpression");
+    parts.push(printedExpression, line, printTagEnd(node.trimRightApply));
+    return group(concat(parts));
+};
+
+const p = (node, path, print) => {
+    // The filters are laid out like those of the filter tag
+    node[FILTER_BLOCK] = true;
+    const openingGroup = printOpeningGroup(node, path, print);
+    const body = printChildBlock(node, path, print, "body");
+    const closingStatement = concat([
+        hardline,
+        printTagStart(node.trimLeftEndapply),
+        " endapply ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([openingGroup, body, closingStatement]);
+};
+
+module.exports = {
+    printApplyStatement: p,
+};
@@ -4,6 +4,9 @@ const { STRING_NEEDS_QUOTES } = require("../util");
 
 const p = (node, path, print) => {
     node[STRING_NEEDS_QUOTES] = true;
+    if (node.elements.length === 0) {
+        return "[]";
+    }
     const mappedElements = path.map(print, "elements");
     const indentedContent = concat([
         softline,
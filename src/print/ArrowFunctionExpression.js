@@ -0,0 +1,65 @@
+const prettier = require("prettier");
+const { group, concat, indent, line, join } = prettier.doc.builders;
+const { Node } = require("melody-types");
+const { EXPRESSION_NEEDED, STRING_NEEDS_QUOTES } = require("../util");
+
+const printParams = (node, path, print) => {
+    const printedParams = path.map(print, "params");
+    return printedParams.length === 1
+        ? printedParams[0]
+        : concat(["(", join(", ", printedParams), ")"]);
+};
+
+const isLastOperand = (parent, child) =>
+    (Node.isBinaryExpression(parent) && parent.right === child) ||
+    (Node.isConditionalExpression(parent) && parent.alternate === child) ||
+    Node.isUnaryLike(parent);
+
+const canContinueAfter = (parent, child) =>
+    Node.isBinaryExpression(parent) ||
+    Node.isConditionalExpression(parent) ||
+    Node.isTestExpression(parent) ||
+    Node.isMemberExpression(parent) ||
+    (Node.isFilterExpression(parent) && parent.target === child);
+
+/**
+ * The body of an arrow function extends as far to the right as
+ * possible. In "(v => v > 1) and b", the parentheses keep "and b"
+ * out of the body.
+ */
+const needsParentheses = (path) => {
+    let child = path.getValue();
+    let level = 0;
+    let parent = path.getParentNode(level);
+    while (parent && isLastOperand(parent, child)) {
+        child = parent;
+        level++;
+        parent = path.getParentNode(level);
+    }
+    return !!parent && canContinueAfter(parent, child);
+};
+
+const p = (node, path, print) => {
+    node[EXPRESSION_NEEDED] = false;
+    node[STRING_NEEDS_QUOTES] = true;
+    const printedBody = path.call(print, "body");
+    // Like arguments, hashes and arrays are hugged: v => {
+    const hugsBody =
+        Node.isObjectExpression(node.body) || Node.isArrayExpression(node.body);
+    const parts = [
+        printParams(node, path, print),
+        " =>",
+        hugsBody
+            ? concat([" ", printedBody])
+            : group(indent(concat([line, printedBody]))),
+    ];
+    if (needsParentheses(path)) {
+        parts.unshift("(");
+        parts.push(")");
+    }
+    return group(concat(parts));
+};
+
+module.exports = {
+    printArrowFunctionExpression: p,
+};
@@ -0,0 +1,83 @@
+const prettier = require("prettier");
+const { concat, group, indent, line, hardline } = prettier.doc.builders;
+const {
+    STRING_NEEDS_QUOTES,
+    printChildBlock,
+    getVueAlpineReplacements,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const ASSET_KEYWORDS = {
+    position: "at",
+    event: "on",
+    options: "with",
+};
+
+const printOpeningGroup = (node, path, print) => {
+    const parts = [printTagStart(node.trimLeft), " ", node.tagName];
+    const tagArguments = [];
+    if (node.url) {
+        tagArguments.push(path.call(print, "url"));
+    }
+    Object.keys(ASSET_KEYWORDS).forEach((key) => {
+        if (node[key]) {
+            tagArguments.push(
+                concat([ASSET_KEYWORDS[key], " ", path.call(print, key)]),
+            );
+        }
+    });
+    if (tagArguments.length > 0) {
+        parts.push(
+            " ",
+            tagArguments[0],
+            indent(
+                concat(tagArguments.slice(1).map((arg) => concat([line, arg]))),
+            ),
+        );
+    }
+    const trimRight = node.body ? node.trimRightAsset : node.trimRight;
+    parts.push(line, printTagEnd(trimRight));
+    return group(concat(parts));
+};
+
+const hasContent = (node, path) =>
+    node.body.some((child) => {
+        const text = child.value && child.value.value;
+        if (typeof text !== "string") {
+            return true;
+        }
+        const content = getVueAlpineReplacements(path).get(text.trim());
+        return (typeof content === "string" ? content : text).trim() !== "";
+    });
+
+/**
+ * {% js %} and {% css %} of Craft CMS. Their code is formatted by
+ * embed.js, like the content of <script> and <style> elements.
+ */
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const openingGroup = printOpeningGroup(node, path, print);
+    if (!node.body) {
+        return openingGroup;
+    }
+    const isBodyEmpty = !hasContent(node, path);
+    const closingStatement = concat([
+        isBodyEmpty ? "" : hardline,
+        printTagStart(node.trimLeftEndasset),
+        " end",
+        node.tagName,
+        " ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([
+        openingGroup,
+        isBodyEmpty ? "" : printChildBlock(node, path, print, "body"),
+        closingStatement,
+    ]);
+};
+
+module.exports = {
+    printAssetStatement: p,
+};
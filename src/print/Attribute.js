@@ -5,6 +5,7 @@ const {
     STRING_NEEDS_QUOTES,
     INSIDE_ATTRIBUTE_VALUE,
     OVERRIDE_QUOTE_CHAR,
+    getVueAlpineReplacements,
 } = require("../util");
 const { Node } = require("melody-types");
 
@@ -13,9 +14,6 @@ const mayCorrectWhitespace = (attrName) =>
 
 const sanitizeWhitespace = (s) => s.replace(/\s+/g, " ").trim();
 
-
-
-
 const decodeHtmlEntities = (text) => {
     // Decode numeric HTML entities back to Unicode characters
     return text.replace(/&#(\d+);/g, (match, dec) => {
@@ -54,7 +52,7 @@ const p = (node, path, print, options) => {
     node[EXPRESSION_NEEDED] = false;
 
     // Check if the attribute name is a Vue/Alpine replacement or Twig conditional replacement
-    const replacements = options.vueAlpineReplacements || new Map();
+    const replacements = getVueAlpineReplacements(path);
     let attributeName = node.name.name;
 
     // Handle Twig conditional placeholders - these should be restored as plain text
@@ -73,6 +71,31 @@ const p = (node, path, print, options) => {
         }
     }
 
+    // Handle the {{ ...attributes }} spread of Twig components
+    if (attributeName.startsWith("data-twig-spread-")) {
+        if (replacements.has(attributeName)) {
+            return replacements.get(attributeName);
+        }
+    }
+
+    // Handle the :prop="expression" of Twig components
+    if (
+        attributeName.startsWith("data-twig-prop-") &&
+        replacements.has(attributeName)
+    ) {
+        // The value is printed as a Twig expression without {{ }}
+        node[STRING_NEEDS_QUOTES] = true;
+        node[OVERRIDE_QUOTE_CHAR] = "'";
+        return group(
+            concat([
+                replacements.get(attributeName),
+                '="',
+                path.call(print, "value"),
+                '"',
+            ]),
+        );
+    }
+
     // Handle Alpine.js attribute name placeholders
     if (
         attributeName.startsWith("data-alpine-pure-") ||
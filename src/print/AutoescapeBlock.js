@@ -1,16 +1,21 @@
 const prettier = require("prettier");
 const { concat, hardline } = prettier.doc.builders;
-const { printChildBlock, quoteChar } = require("../util");
+const {
+    printChildBlock,
+    quoteChar,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
 
 const createOpener = (node, options) => {
     return concat([
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         " autoescape ",
         quoteChar(options),
         node.escapeType || "html",
         quoteChar(options),
         " ",
-        node.trimRightAutoescape ? "-%}" : "%}",
+        printTagEnd(node.trimRightAutoescape),
     ]);
 };
 
@@ -19,9 +24,9 @@ const p = (node, path, print, options) => {
     parts.push(printChildBlock(node, path, print, "expressions"));
     parts.push(
         hardline,
-        node.trimLeftEndautoescape ? "{%-" : "{%",
+        printTagStart(node.trimLeftEndautoescape),
         " endautoescape ",
-        node.trimRight ? "-%}" : "%}",
+        printTagEnd(node.trimRight),
     );
 
     return concat(parts);
@@ -13,15 +13,14 @@ const {
     someParentNode,
     wrapExpressionIfNeeded,
 } = require("../util");
-const { extension: coreExtension } = require("melody-extension-core");
+const { LEFT } = require("melody-parser");
+const { operatorTable } = require("../extensions/operators-extension");
 const ALREADY_INDENTED = Symbol("ALREADY_INDENTED");
 const OPERATOR_PRECEDENCE = Symbol("OPERATOR_PRECEDENCE");
 const NO_WHITESPACE_AROUND = [".."];
 
-const operatorPrecedence = coreExtension.binaryOperators.reduce((acc, curr) => {
-    acc[curr.text] = curr.precedence;
-    return acc;
-}, {});
+const getPrecedence = (operator) =>
+    operatorTable[operator] ? operatorTable[operator].precedence : undefined;
 
 const printInterpolatedString = (node, path, print, options) => {
     node[STRING_NEEDS_QUOTES] = false;
@@ -58,21 +57,45 @@ const hasLogicalOperator = (node) => {
     return node.operator === "or" || node.operator === "and";
 };
 
+/**
+ * Whether the precedence of the operators requires parentheses
+ * around the other operand. The parentheses are kept if they are
+ * required by either the current or the future precedence of Twig.
+ */
+const precedenceRequiresParentheses = (node, otherProp) => {
+    const own = operatorTable[node.operator];
+    const other = operatorTable[node[otherProp].operator];
+    if (!own || !other) {
+        // Operators of unknown extensions
+        return true;
+    }
+    const isOtherOnWeakSide =
+        (otherProp === "right") === (own.associativity === LEFT);
+    return ["precedence", "futurePrecedence"].some(
+        (key) =>
+            other[key] < own[key] ||
+            (other[key] === own[key] && isOtherOnWeakSide),
+    );
+};
+
 const otherNeedsParentheses = (node, otherProp) => {
     const other = node[otherProp];
+    if (other.wasImplicitConcatenation) {
+        // An interpolated string is printed as a single string literal
+        return false;
+    }
     const isBinaryOther = Node.isBinaryExpression(other);
-    const ownPrecedence = operatorPrecedence[node.operator];
+    const ownPrecedence = getPrecedence(node.operator);
     const otherPrecedence = isBinaryOther
-        ? operatorPrecedence[node[otherProp].operator]
+        ? getPrecedence(other.operator)
         : Number.MAX_SAFE_INTEGER;
     return (
-        otherPrecedence < ownPrecedence ||
+        (isBinaryOther && precedenceRequiresParentheses(node, otherProp)) ||
         (otherPrecedence > ownPrecedence &&
             isBinaryOther &&
             hasLogicalOperator(other)) ||
         Node.isFilterExpression(other) ||
-        (Node.isBinaryConcatExpression(node) &&
-            Node.isConditionalExpression(other))
+        Node.isConditionalExpression(other)
     );
 };
 
@@ -108,7 +131,7 @@ const printBinaryExpression = (node, path, print) => {
         ? firstValueInAncestorChain(path, "operator")
         : "";
 
-    node[OPERATOR_PRECEDENCE] = operatorPrecedence[node.operator];
+    node[OPERATOR_PRECEDENCE] = getPrecedence(node.operator);
 
     const printedLeft = path.call(print, "left");
     const printedRight = path.call(print, "right");
@@ -1,7 +1,12 @@
 const prettier = require("prettier");
 const { concat, hardline, group } = prettier.doc.builders;
 const { Node } = require("melody-types");
-const { EXPRESSION_NEEDED, printChildBlock } = require("../util");
+const {
+    EXPRESSION_NEEDED,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
 
 const p = (node, path, print, options) => {
     node[EXPRESSION_NEEDED] = false;
@@ -11,10 +16,11 @@ const p = (node, path, print, options) => {
     if (hasChildren) {
         const blockName = path.call(print, "name");
         const opener = concat([
-            node.trimLeft ? "{%-" : "{%",
+            printTagStart(node.trimLeft),
             " block ",
             blockName,
-            node.trimRightBlock ? " -%}" : " %}",
+            " ",
+            printTagEnd(node.trimRightBlock),
         ]);
         const parts = [opener];
         if (node.body.length > 0) {
@@ -23,22 +29,24 @@ const p = (node, path, print, options) => {
         }
         parts.push(hardline);
         parts.push(
-            node.trimLeftEndblock ? "{%-" : "{%",
+            printTagStart(node.trimLeftEndblock),
             " endblock",
             printEndblockName ? concat([" ", blockName]) : "",
-            node.trimRight ? " -%}" : " %}",
+            " ",
+            printTagEnd(node.trimRight),
         );
 
         const result = group(concat(parts));
         return result;
     } else if (Node.isPrintExpressionStatement(node.body)) {
         const parts = [
-            node.trimLeft ? "{%-" : "{%",
+            printTagStart(node.trimLeft),
             " block ",
             path.call(print, "name"),
             " ",
             path.call(print, "body", "value"),
-            node.trimRight ? " -%}" : " %}",
+            " ",
+            printTagEnd(node.trimRight),
         ];
         return concat(parts);
     }
@@ -0,0 +1,52 @@
+const prettier = require("prettier");
+const { concat, group, indent, join, line, hardline } = prettier.doc.builders;
+const {
+    STRING_NEEDS_QUOTES,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const printCacheOptions = (node, path, print) => {
+    const cacheOptions = [];
+    if (node.ttl) {
+        cacheOptions.push(concat(["ttl(", path.call(print, "ttl"), ")"]));
+    }
+    if (node.tags) {
+        cacheOptions.push(concat(["tags(", path.call(print, "tags"), ")"]));
+    }
+    return cacheOptions;
+};
+
+const printOpeningGroup = (node, path, print) => {
+    const parts = [
+        printTagStart(node.trimLeft) + " ",
+        "cache ",
+        path.call(print, "key"),
+    ];
+    // When the tag breaks, ttl() and tags() go on lines of their own
+    const cacheOptions = printCacheOptions(node, path, print);
+    if (cacheOptions.length > 0) {
+        parts.push(indent(concat([line, join(line, cacheOptions)])));
+    }
+    parts.push(line, printTagEnd(node.trimRightCache));
+    return group(concat(parts));
+};
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const openingGroup = printOpeningGroup(node, path, print);
+    const body = printChildBlock(node, path, print, "body");
+    const closingStatement = concat([
+        hardline,
+        printTagStart(node.trimLeftEndcache),
+        " endcache ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([openingGroup, body, closingStatement]);
+};
+
+module.exports = {
+    printCacheStatement: p,
+};
@@ -0,0 +1,52 @@
+const prettier = require("prettier");
+const { concat, indent, hardline, line, group } = prettier.doc.builders;
+const {
+    EXPRESSION_NEEDED,
+    STRING_NEEDS_QUOTES,
+    isWhitespaceNode,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+// The props are printed like the variables of an embed
+const printOpener = (node, path, print) => {
+    node[EXPRESSION_NEEDED] = false;
+    node[STRING_NEEDS_QUOTES] = true;
+    const parts = [
+        printTagStart(node.trimLeft),
+        " component ",
+        path.call(print, "name"),
+    ];
+    if (node.argument) {
+        parts.push(
+            indent(concat([line, "with ", path.call(print, "argument")])),
+        );
+    }
+    if (node.contextFree) {
+        parts.push(" only");
+    }
+    parts.push(concat([line, printTagEnd(node.trimRightComponent)]));
+    return group(concat(parts));
+};
+
+const p = (node, path, print) => {
+    const printedOpener = printOpener(node, path, print);
+    const isBodyEmpty = node.body.every(isWhitespaceNode);
+    const closing = concat([
+        isBodyEmpty ? "" : hardline,
+        printTagStart(node.trimLeftEndcomponent),
+        " endcomponent ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([
+        printedOpener,
+        isBodyEmpty ? "" : printChildBlock(node, path, print, "body"),
+        closing,
+    ]);
+};
+
+module.exports = {
+    printComponentStatement: p,
+};
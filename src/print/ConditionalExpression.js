@@ -5,6 +5,7 @@ const {
     STRING_NEEDS_QUOTES,
     wrapExpressionIfNeeded,
 } = require("../util");
+const { Node } = require("melody-types");
 
 const p = (node, path, print) => {
     node[EXPRESSION_NEEDED] = false;
@@ -17,7 +18,11 @@ const p = (node, path, print) => {
     if (node.alternate) {
         rest.push(line, ": ", path.call(print, "alternate"));
     }
-    const parts = [path.call(print, "test"), indent(concat(rest))];
+    // The conditional operator is right-associative
+    const printedTest = Node.isConditionalExpression(node.test)
+        ? concat(["(", path.call(print, "test"), ")"])
+        : path.call(print, "test");
+    const parts = [printedTest, indent(concat(rest))];
     wrapExpressionIfNeeded(path, parts, node);
 
     return group(concat(parts));
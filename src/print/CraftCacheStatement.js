@@ -0,0 +1,70 @@
+const prettier = require("prettier");
+const { concat, group, indent, line, hardline } = prettier.doc.builders;
+const {
+    STRING_NEEDS_QUOTES,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const printCacheOptions = (node, path, print) => {
+    const cacheOptions = [];
+    if (node.globally) {
+        cacheOptions.push("globally");
+    }
+    if (node.key) {
+        cacheOptions.push(concat(["using key ", path.call(print, "key")]));
+    }
+    if (node.durationAmount) {
+        cacheOptions.push(
+            concat([
+                "for ",
+                path.call(print, "durationAmount"),
+                " ",
+                path.call(print, "durationUnit"),
+            ]),
+        );
+    }
+    if (node.expiration) {
+        cacheOptions.push(concat(["until ", path.call(print, "expiration")]));
+    }
+    if (node.condition) {
+        cacheOptions.push(
+            concat([node.conditionType, " ", path.call(print, "condition")]),
+        );
+    }
+    return cacheOptions;
+};
+
+const printOpeningGroup = (node, path, print) => {
+    const parts = [printTagStart(node.trimLeft), " cache"];
+    // When the tag breaks, every option goes on a line of its own
+    const cacheOptions = printCacheOptions(node, path, print);
+    if (cacheOptions.length > 0) {
+        parts.push(
+            " ",
+            cacheOptions[0],
+            indent(concat(cacheOptions.slice(1).map((o) => concat([line, o])))),
+        );
+    }
+    parts.push(line, printTagEnd(node.trimRightCache));
+    return group(concat(parts));
+};
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const openingGroup = printOpeningGroup(node, path, print);
+    const body = printChildBlock(node, path, print, "body");
+    const closingStatement = concat([
+        hardline,
+        printTagStart(node.trimLeftEndcache),
+        " endcache ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([openingGroup, body, closingStatement]);
+};
+
+module.exports = {
+    printCraftCacheStatement: p,
+};
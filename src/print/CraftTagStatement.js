@@ -0,0 +1,21 @@
+const prettier = require("prettier");
+const { concat, group, indent, join, line } = prettier.doc.builders;
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
+
+/**
+ * Craft CMS tags without a body, like {% header %}, {% exit %}
+ * or {% requireLogin %}
+ */
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const parts = [printTagStart(node.trimLeft), " ", node.tagName];
+    if (node.arguments.length > 0) {
+        parts.push(" ", indent(join(line, path.map(print, "arguments"))));
+    }
+    parts.push(" ", printTagEnd(node.trimRight));
+    return group(concat(parts));
+};
+
+module.exports = {
+    printCraftTagStatement: p,
+};
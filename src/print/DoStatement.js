@@ -1,12 +1,14 @@
 const prettier = require("prettier");
+const { printTagStart, printTagEnd } = require("../util");
 const { concat } = prettier.doc.builders;
 
 const p = (node, path, print) => {
     return concat([
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         " do ",
         path.call(print, "value"),
-        node.trimRight ? " -%}" : " %}",
+        " ",
+        printTagEnd(node.trimRight),
     ]);
 };
 
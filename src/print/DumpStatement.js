@@ -0,0 +1,20 @@
+const prettier = require("prettier");
+const { concat, group, indent, join, line } = prettier.doc.builders;
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const parts = [printTagStart(node.trimLeft), " dump"];
+    if (node.arguments.length > 0) {
+        const printedArguments = path.map(print, "arguments");
+        parts.push(
+            indent(concat([line, join(concat([",", line]), printedArguments)])),
+        );
+    }
+    parts.push(line, printTagEnd(node.trimRight));
+    return group(concat(parts));
+};
+
+module.exports = {
+    printDumpStatement: p,
+};
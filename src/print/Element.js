@@ -7,19 +7,25 @@ const {
     printChildGroups,
     EXPRESSION_NEEDED,
     STRING_NEEDS_QUOTES,
+    PREFORMATTED,
+    getVueAlpineReplacements,
+    getOriginalSource,
+    locStart,
 } = require("../util");
+const {
+    getElementDisplay,
+    isInnerWhitespaceSensitiveDisplay,
+} = require("../util/elementDisplay");
+const { removeAddedLines } = require("../util/preformatted");
 const { Node } = require("melody-types");
+const { getPreset } = require("../presets");
 
-const hasComplexValue = (attribute, options) => {
+const hasComplexValue = (attribute, replacements) => {
     if (!attribute.value) {
         return false;
     }
 
     // Check attribute name for Vue.js directives and other framework attributes
-    const replacements =
-        options && options.vueAlpineReplacements
-            ? options.vueAlpineReplacements
-            : new Map();
     let attrName = attribute.name;
 
     // If attribute.name is an object with a 'name' property, extract it
@@ -97,7 +103,7 @@ const hasComplexValue = (attribute, options) => {
     return false;
 };
 
-const shouldBreakAttributes = (node, options) => {
+const shouldBreakAttributes = (node, replacements) => {
     if (!node.attributes || node.attributes.length === 0) {
         return false;
     }
@@ -108,17 +114,48 @@ const shouldBreakAttributes = (node, options) => {
     }
 
     // Break if any attribute has complex values
-    return node.attributes.some((attr) => hasComplexValue(attr, options));
+    return node.attributes.some((attr) => hasComplexValue(attr, replacements));
+};
+
+/**
+ * Drupal's {{ attributes }} renders with a leading space, so presets
+ * with attributeObjects keep it attached to the element name
+ */
+const hasAttachedAttributeObject = (node, path, options) => {
+    const firstAttribute = node.attributes && node.attributes[0];
+    if (!getPreset(options).attributeObjects || !firstAttribute) {
+        return false;
+    }
+    // Twig output in a start tag is parsed as the bare expression
+    const start = locStart(firstAttribute);
+    const textBefore = getOriginalSource(path).slice(
+        Math.max(0, start - 100),
+        start,
+    );
+    return /\S\{\{[-~]?\s*$/.test(textBefore);
 };
 
-const printOpeningTag = (node, path, print, options) => {
-    const opener = "<" + node.name;
-    const printedAttributes = printSeparatedList(path, print, "", "attributes");
-    const openingTagEnd = node.selfClosing ? " />" : ">";
-    const hasAttributes = node.attributes && node.attributes.length > 0;
+const printOpeningTag = (
+    node,
+    path,
+    print,
+    options,
+    openingTagEnd = node.selfClosing ? " />" : ">",
+) => {
+    let opener = "<" + node.name;
+    let attributes = path.map(print, "attributes");
+    if (hasAttachedAttributeObject(node, path, options)) {
+        opener = concat([opener, attributes[0]]);
+        attributes = attributes.slice(1);
+    }
+    const printedAttributes = join(line, attributes);
+    const hasAttributes = attributes.length > 0;
 
     if (hasAttributes) {
-        const shouldBreak = shouldBreakAttributes(node, options);
+        const shouldBreak = shouldBreakAttributes(
+            node,
+            getVueAlpineReplacements(path),
+        );
 
         if (shouldBreak) {
             // Break attributes to new lines with proper indentation
@@ -130,24 +167,82 @@ const printOpeningTag = (node, path, print, options) => {
                 ]),
             );
         }
+        if (isInlineElement(node)) {
+            // Inline elements may start in the middle of a line
+            return group(
+                concat([
+                    opener,
+                    indent(concat([line, printedAttributes])),
+                    openingTagEnd,
+                ]),
+            );
+        }
         // Keep attributes inline
-        return group(concat([opener, " ", printedAttributes, openingTagEnd]));
+        return group(
+            concat([opener, " ", indent(printedAttributes), openingTagEnd]),
+        );
     }
     return concat([opener, openingTagEnd]);
 };
 
-const printSeparatedList = (path, print, separator, attrName) => {
-    return join(concat([separator, line]), path.map(print, attrName));
-};
+const startsWithWhitespace = (node) =>
+    !!node &&
+    Node.isPrintTextStatement(node) &&
+    /^\s/.test(node.value.value || "");
+
+const endsWithWhitespace = (node) =>
+    !!node &&
+    Node.isPrintTextStatement(node) &&
+    /\s$/.test(node.value.value || "");
+
+/**
+ * Whitespace at the start and end of the children of inline elements
+ * is rendered. Where there is none, the printer must not add any, so
+ * it breaks within the brackets of the tags instead:
+ * <span
+ *     >text</span
+ * >
+ */
+const keepsInnerWhitespace = (node, options) =>
+    isInlineElement(node) &&
+    options.twigWhitespaceSensitivity !== "ignore" &&
+    isInnerWhitespaceSensitiveDisplay(getElementDisplay(node));
+
+const printPreformattedElement = (path, print, openingGroup, closingTag) =>
+    concat([
+        openingGroup,
+        removeAddedLines(concat(path.map(print, "children"))),
+        closingTag,
+    ]);
 
 const p = (node, path, print, options) => {
     // Set a flag in case attributes contain, e.g., a FilterExpression
+    const keepWhitespace =
+        !node[PREFORMATTED] && keepsInnerWhitespace(node, options);
+    const hugsStart =
+        keepWhitespace &&
+        !node.selfClosing &&
+        !startsWithWhitespace(node.children[0]);
     node[EXPRESSION_NEEDED] = true;
-    const openingGroup = group(printOpeningTag(node, path, print, options));
+    const openingGroup = group(
+        printOpeningTag(node, path, print, options, hugsStart ? "" : undefined),
+    );
     node[EXPRESSION_NEEDED] = false;
     node[STRING_NEEDS_QUOTES] = false;
 
+    if (!node.selfClosing && node[PREFORMATTED]) {
+        return printPreformattedElement(
+            path,
+            print,
+            openingGroup,
+            concat(["</", node.name, ">"]),
+        );
+    }
+
     if (!node.selfClosing) {
+        const hugsEnd =
+            keepWhitespace &&
+            !endsWithWhitespace(node.children[node.children.length - 1]);
         node.children = removeSurroundingWhitespace(node.children);
 
         const childGroups = printChildGroups(node, path, print, "children");
@@ -166,10 +261,7 @@ const p = (node, path, print, options) => {
                     child.value.value.match(/^(script|style)-content-\d+$/)
                 ) {
                     // Check if the replacement map has this placeholder and if its content is empty
-                    const replacements =
-                        options && options.vueAlpineReplacements
-                            ? options.vueAlpineReplacements
-                            : new Map();
+                    const replacements = getVueAlpineReplacements(path);
 
                     const placeholderKey = child.value.value;
                     if (replacements.has(placeholderKey)) {
@@ -189,11 +281,23 @@ const p = (node, path, print, options) => {
 
         // If element is empty (no children) or has only empty placeholders, keep it on the same line
         if (childGroups.length === 0 || hasOnlyEmptyPlaceholders) {
-            result.push(closingTag);
+            result.push(hugsStart ? ">" : "", closingTag);
             return group(concat(result));
         }
 
-        if (isInlineElement(node)) {
+        if (keepWhitespace) {
+            result.push(
+                indent(
+                    hugsStart
+                        ? concat([softline, ">", joinedChildren])
+                        : concat([line, joinedChildren]),
+                ),
+                hugsEnd
+                    ? concat(["</", node.name, softline, ">"])
+                    : concat([line, closingTag]),
+            );
+            return group(concat(result));
+        } else if (isInlineElement(node)) {
             result.push(indent(concat([softline, joinedChildren])), softline);
         } else {
             const childBlock = [];
@@ -4,13 +4,15 @@ const {
     EXPRESSION_NEEDED,
     STRING_NEEDS_QUOTES,
     printChildBlock,
+    printTagStart,
+    printTagEnd,
 } = require("../util");
 
 const printOpener = (node, path, print) => {
     node[EXPRESSION_NEEDED] = false;
     node[STRING_NEEDS_QUOTES] = true;
     const parts = [
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         " embed ",
         path.call(print, "parent"),
     ];
@@ -19,7 +21,7 @@ const printOpener = (node, path, print) => {
             indent(concat([line, "with ", path.call(print, "argument")])),
         );
     }
-    parts.push(concat([line, node.trimRightEmbed ? "-%}" : "%}"]));
+    parts.push(concat([line, printTagEnd(node.trimRightEmbed)]));
     return group(concat(parts));
 };
 
@@ -28,9 +30,9 @@ const p = (node, path, print) => {
     const printedOpener = printOpener(node, path, print);
     const closing = concat([
         hardline,
-        node.trimLeftEndembed ? "{%-" : "{%",
+        printTagStart(node.trimLeftEndembed),
         " endembed ",
-        node.trimRight ? "-%}" : "%}",
+        printTagEnd(node.trimRight),
     ]);
 
     return concat([printedOpener, children, closing]);
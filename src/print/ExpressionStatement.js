@@ -4,14 +4,16 @@ const {
     EXPRESSION_NEEDED,
     STRING_NEEDS_QUOTES,
     isContractableNodeType,
+    printExpressionStart,
+    printExpressionEnd,
 } = require("../util");
 const { Node } = require("melody-types");
 
 const p = (node, path, print) => {
     node[EXPRESSION_NEEDED] = false;
     node[STRING_NEEDS_QUOTES] = true;
-    const opener = node.trimLeft ? "{{-" : "{{";
-    const closing = node.trimRight ? "-}}" : "}}";
+    const opener = printExpressionStart(node.trimLeft);
+    const closing = printExpressionEnd(node.trimRight);
     const shouldContractValue =
         isContractableNodeType(node.value) &&
         !Node.isObjectExpression(node.value);
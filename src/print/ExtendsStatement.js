@@ -1,14 +1,15 @@
 const prettier = require("prettier");
 const { concat } = prettier.doc.builders;
-const { STRING_NEEDS_QUOTES } = require("../util");
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
 
 const p = (node, path, print) => {
     node[STRING_NEEDS_QUOTES] = true;
     return concat([
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         " extends ",
         path.call(print, "parentName"),
-        node.trimRight ? " -%}" : " %}",
+        " ",
+        printTagEnd(node.trimRight),
     ]);
 };
 
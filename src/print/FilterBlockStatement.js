@@ -1,23 +1,30 @@
 const prettier = require("prettier");
 const { concat, group, line, hardline } = prettier.doc.builders;
-const { FILTER_BLOCK, printChildBlock } = require("../util");
+const {
+    FILTER_BLOCK,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
 
-const printOpeningGroup = (node, path, print) => {
-    const parts = [node.trimLeft ? "{%- " : "{% "];
+const printOpeningGroup = (node, path, print, tagName) => {
+    const parts = [printTagStart(node.trimLeft) + " ", tagName, " "];
     const printedExpression = path.call(print, "filterExpression");
-    parts.push(printedExpression, line, node.trimRightFilter ? "-%}" : "%}");
+    parts.push(printedExpression, line, printTagEnd(node.trimRightFilter));
     return group(concat(parts));
 };
 
-const p = (node, path, print) => {
+const p = (node, path, print, options) => {
     node[FILTER_BLOCK] = true;
-    const openingGroup = printOpeningGroup(node, path, print);
+    // The filter tag is deprecated since Twig 2.9, apply works the same
+    const tagName = options.twigRewriteFilterToApply ? "apply" : "filter";
+    const openingGroup = printOpeningGroup(node, path, print, tagName);
     const body = printChildBlock(node, path, print, "body");
     const closingStatement = concat([
         hardline,
-        node.trimLeftEndfilter ? "{%-" : "{%",
-        " endfilter ",
-        node.trimRight ? "-%}" : "%}",
+        printTagStart(node.trimLeftEndfilter),
+        ` end${tagName} `,
+        printTagEnd(node.trimRight),
     ]);
 
     return concat([openingGroup, body, closingStatement]);
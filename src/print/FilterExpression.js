@@ -8,13 +8,16 @@ const {
     FILTER_BLOCK,
     shouldExpressionsBeWrapped,
     wrapInStringInterpolation,
-    someParentNode,
     isMultipartExpression,
     getDeepProperty,
+    printExpressionStart,
+    printExpressionEnd,
 } = require("../util");
 
+// Only the filters of the block itself, not those in its body
 const isInFilterBlock = (path) =>
-    someParentNode(path, (node) => node[FILTER_BLOCK] === true);
+    path.getName() === "filterExpression" &&
+    path.getParentNode()[FILTER_BLOCK] === true;
 
 const printArguments = (node, path, print, nodePath) => {
     const hasArguments = node.arguments && node.arguments.length > 0;
@@ -89,22 +92,26 @@ const p = (node, path, print, options) => {
         currentNode = currentNode.target;
     }
 
-    const finalTarget = path.call(print, ...pathToFinalTarget);
-    const isFilterBlock = isInFilterBlock(path); // Special case of FilterBlockStatement
+    const isFilterBlock = isInFilterBlock(path); // Special case of FilterBlockStatement and ApplyStatement
+    const finalTarget = isFilterBlock
+        ? ""
+        : path.call(print, ...pathToFinalTarget);
     const targetNeedsParentheses = isMultipartExpression(
         getDeepProperty(node, ...pathToFinalTarget),
     );
     const parts = [];
-    if (targetNeedsParentheses) {
-        parts.push("(");
-    }
-    parts.push(finalTarget);
-    if (targetNeedsParentheses) {
-        parts.push(")");
-    }
     if (isFilterBlock) {
-        parts.push(concat([" ", filterExpressions[0]]));
+        // The block prints its tag name in place of the target
+        parts.push(filterExpressions[0]);
         filterExpressions = filterExpressions.slice(1);
+    } else {
+        if (targetNeedsParentheses) {
+            parts.push("(");
+        }
+        parts.push(finalTarget);
+        if (targetNeedsParentheses) {
+            parts.push(")");
+        }
     }
     if (filterExpressions.length === 1) {
         // No breaks and indentation for just one expression
@@ -122,8 +129,8 @@ const p = (node, path, print, options) => {
     if (kindOfWrap === EXPRESSION_NEEDED) {
         // Instead of using wrapExpressionIfNeeded(), we manually
         // wrap here, to avoid a line break between the curly braces
-        parts.push(" }}");
-        parts.unshift("{{ ");
+        parts.push(" ", printExpressionEnd(node.trimRight));
+        parts.unshift(printExpressionStart(node.trimLeft), " ");
     } else if (kindOfWrap === INSIDE_OF_STRING) {
         wrapInStringInterpolation(parts);
     }
@@ -1,7 +1,13 @@
-const p = (node, path, print) => {
-    const dashLeft = node.trimLeft ? "-" : "";
-    const dashRight = node.trimRight ? "-" : "";
-    return `{%${dashLeft} flush ${dashRight}%}`;
+const prettier = require("prettier");
+const { concat } = prettier.doc.builders;
+const { printTagStart, printTagEnd } = require("../util");
+
+const p = (node) => {
+    return concat([
+        printTagStart(node.trimLeft),
+        " flush ",
+        printTagEnd(node.trimRight),
+    ]);
 };
 
 module.exports = {
@@ -4,10 +4,12 @@ const {
     EXPRESSION_NEEDED,
     isWhitespaceNode,
     indentWithHardline,
+    printTagStart,
+    printTagEnd,
 } = require("../util");
 
 const printFor = (node, path, print) => {
-    const parts = [node.trimLeft ? "{%-" : "{%", " for "];
+    const parts = [printTagStart(node.trimLeft), " for "];
     if (node.keyTarget) {
         parts.push(path.call(print, "keyTarget"), ", ");
     }
@@ -21,7 +23,7 @@ const printFor = (node, path, print) => {
             indent(concat([line, "if ", path.call(print, "condition")])),
         );
     }
-    parts.push(concat([" ", node.trimRightFor ? "-%}" : "%}"]));
+    parts.push(concat([" ", printTagEnd(node.trimRightFor)]));
     return group(concat(parts));
 };
 
@@ -39,18 +41,18 @@ const p = (node, path, print) => {
     if (node.otherwise) {
         parts.push(
             hardline,
-            node.trimLeftElse ? "{%-" : "{%",
+            printTagStart(node.trimLeftElse),
             " else ",
-            node.trimRightElse ? "-%}" : "%}",
+            printTagEnd(node.trimRightElse),
         );
         const printedOtherwise = path.call(print, "otherwise");
         parts.push(indentWithHardline(printedOtherwise));
     }
     parts.push(
         isBodyEmpty ? "" : hardline,
-        node.trimLeftEndfor ? "{%-" : "{%",
+        printTagStart(node.trimLeftEndfor),
         " endfor ",
-        node.trimRight ? "-%}" : "%}",
+        printTagEnd(node.trimRight),
     );
 
     return concat(parts);
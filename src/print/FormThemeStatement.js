@@ -0,0 +1,28 @@
+const prettier = require("prettier");
+const { concat, group, join } = prettier.doc.builders;
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const parts = [
+        printTagStart(node.trimLeft),
+        " form_theme ",
+        path.call(print, "form"),
+    ];
+    const printedResources = path.map(print, "resources");
+    if (node.usesWith) {
+        // The themes are printed like the context of an include
+        parts.push(" with ", printedResources[0]);
+    } else if (printedResources.length > 0) {
+        parts.push(" ", join(" ", printedResources));
+    }
+    if (node.contextFree) {
+        parts.push(" only");
+    }
+    parts.push(" ", printTagEnd(node.trimRight));
+    return group(concat(parts));
+};
+
+module.exports = {
+    printFormThemeStatement: p,
+};
@@ -1,6 +1,6 @@
 const prettier = require("prettier");
 const { group, concat, join, line, indent } = prettier.doc.builders;
-const { STRING_NEEDS_QUOTES } = require("../util");
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
 
 const printImportDeclaration = (node) => {
     const parts = [node.key.name];
@@ -21,13 +21,13 @@ const p = (node, path, print) => {
     );
     return group(
         concat([
-            node.trimLeft ? "{%-" : "{%",
+            printTagStart(node.trimLeft),
             " from ",
             path.call(print, "source"),
             " import",
             indentedParts,
             line,
-            node.trimRight ? "-%}" : "%}",
+            printTagEnd(node.trimRight),
         ]),
     );
 };
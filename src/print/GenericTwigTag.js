@@ -3,49 +3,72 @@ const { concat, hardline, indent } = prettier.doc.builders;
 const { Node } = require("melody-types");
 const {
     STRING_NEEDS_QUOTES,
-    indentWithHardline,
     printSingleTwigTag,
     isEmptySequence,
 } = require("../util");
 
-const p = (node, path, print) => {
+// Layouts of multi-tags, as configured with twigTagLayouts: how many
+// levels intermediate tags (like {% case %}) and the sections between
+// the tags are indented relative to the opening tag
+const DEFAULT_LAYOUT = { intermediateIndent: 0, bodyIndent: 1 };
+const BUILTIN_LAYOUTS = {
+    switch: { intermediateIndent: 1, bodyIndent: 2 },
+};
+
+const getTagLayouts = (options) => {
+    const layouts = options.twigTagLayouts;
+    if (typeof layouts !== "string") {
+        return layouts || {};
+    }
+    try {
+        return layouts.trim() ? JSON.parse(layouts) : {};
+    } catch (e) {
+        throw new Error(`twigTagLayouts is not valid JSON: ${e.message}`);
+    }
+};
+
+const getIndentLevel = (layout, key) =>
+    Number.isInteger(layout[key]) && layout[key] >= 0
+        ? layout[key]
+        : DEFAULT_LAYOUT[key];
+
+const getTagLayout = (tagName, options) => {
+    const layout = Object.assign(
+        {},
+        BUILTIN_LAYOUTS[tagName],
+        getTagLayouts(options)[tagName],
+    );
+    return {
+        intermediateIndent: getIndentLevel(layout, "intermediateIndent"),
+        bodyIndent: getIndentLevel(layout, "bodyIndent"),
+    };
+};
+
+const indentLevels = (doc, levels) =>
+    levels > 0 ? indent(indentLevels(doc, levels - 1)) : doc;
+
+const p = (node, path, print, options) => {
     node[STRING_NEEDS_QUOTES] = true;
     const openingTag = printSingleTwigTag(node, path, print);
     const parts = [openingTag];
     const printedSections = path.map(print, "sections");
-
-    // Check if this is a switch statement
-    const isSwitch = node.tagName === "switch";
+    const layout = getTagLayout(node.tagName, options);
+    const lastIndex = node.sections.length - 1;
 
     node.sections.forEach((section, i) => {
         if (Node.isGenericTwigTag(section)) {
-            if (isSwitch) {
-                // Special handling for switch statements
-                if (section.tagName === "endswitch") {
-                    // endswitch at same level as switch
-                    parts.push(concat([hardline, printedSections[i]]));
-                } else if (
-                    section.tagName === "case" ||
-                    section.tagName === "default"
-                ) {
-                    // case and default tags indented relative to switch
-                    parts.push(indentWithHardline(printedSections[i]));
-                } else {
-                    parts.push(concat([hardline, printedSections[i]]));
-                }
-            } else {
-                parts.push(concat([hardline, printedSections[i]]));
-            }
-        } else {
-            if (!isEmptySequence(section)) {
-                if (isSwitch) {
-                    // Content inside switch cases should be double-indented
-                    parts.push(indent(indentWithHardline(printedSections[i])));
-                } else {
-                    // Regular indentation
-                    parts.push(indentWithHardline(printedSections[i]));
-                }
-            }
+            // The end tag is at the same level as the opening tag
+            const level = i === lastIndex ? 0 : layout.intermediateIndent;
+            parts.push(
+                indentLevels(concat([hardline, printedSections[i]]), level),
+            );
+        } else if (!isEmptySequence(section)) {
+            parts.push(
+                indentLevels(
+                    concat([hardline, printedSections[i]]),
+                    layout.bodyIndent,
+                ),
+            );
         }
     });
     return concat(parts);
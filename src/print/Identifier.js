@@ -2,24 +2,10 @@ const prettier = require("prettier");
 const { group, concat } = prettier.doc.builders;
 const { EXPRESSION_NEEDED, wrapExpressionIfNeeded } = require("../util");
 
-const p = (node, path, print, options) => {
+const p = (node, path) => {
     node[EXPRESSION_NEEDED] = false;
 
-    let name = node.name;
-
-    // Check for arrow function placeholders and restore them
-    const replacements = options.vueAlpineReplacements || new Map();
-    if (
-        name &&
-        name.startsWith("__TWIG_ARROW_FUNC_") &&
-        replacements &&
-        typeof replacements.has === "function" &&
-        replacements.has(name)
-    ) {
-        name = replacements.get(name);
-    }
-
-    const parts = [name];
+    const parts = [node.name];
     wrapExpressionIfNeeded(path, parts, node);
     const result = concat(parts);
     return parts.length === 1 ? result : group(result);
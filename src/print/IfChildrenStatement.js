@@ -0,0 +1,24 @@
+const prettier = require("prettier");
+const { concat, hardline } = prettier.doc.builders;
+const { printChildBlock, printTagStart, printTagEnd } = require("../util");
+
+const p = (node, path, print) => {
+    const openingStatement = concat([
+        printTagStart(node.trimLeft),
+        " ifchildren ",
+        printTagEnd(node.trimRightIfchildren),
+    ]);
+    const body = printChildBlock(node, path, print, "body");
+    const closingStatement = concat([
+        hardline,
+        printTagStart(node.trimLeftEndifchildren),
+        " endifchildren ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([openingStatement, body, closingStatement]);
+};
+
+module.exports = {
+    printIfChildrenStatement: p,
+};
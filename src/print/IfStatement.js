@@ -1,6 +1,11 @@
 const prettier = require("prettier");
 const { group, indent, line, hardline, concat } = prettier.doc.builders;
-const { EXPRESSION_NEEDED, printChildBlock } = require("../util");
+const {
+    EXPRESSION_NEEDED,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
 const { Node } = require("melody-types");
 const {
     hasNoNewlines,
@@ -40,11 +45,11 @@ const p = (node, path, print) => {
 
     const ifClause = group(
         concat([
-            node.trimLeft ? "{%- " : "{% ",
+            printTagStart(node.trimLeft) + " ",
             isElseIf ? "elseif" : "if",
             indent(concat([line, path.call(print, "test")])),
             " ",
-            node.trimRightIf ? "-%}" : "%}",
+            printTagEnd(node.trimRightIf),
         ]),
     );
     const ifBody = printInline
@@ -56,13 +61,17 @@ const p = (node, path, print) => {
     if (hasElseBranch) {
         parts.push(
             hardline,
-            node.trimLeftElse ? "{%-" : "{%",
+            printTagStart(node.trimLeftElse),
             " else ",
-            node.trimRightElse ? "-%}" : "%}",
+            printTagEnd(node.trimRightElse),
         );
         parts.push(printChildBlock(node, path, print, "alternate"));
     } else if (hasElseIfBranch) {
         node.alternate[IS_ELSEIF] = true;
+        // Like {% endif %}, the {% else %} tag belongs to the "root" if
+        // statement, but is printed by the last elseif
+        node.alternate.trimLeftElse = node.trimLeftElse;
+        node.alternate.trimRightElse = node.trimRightElse;
         parts.push(hardline);
         parts.push(path.call(print, "alternate"));
     }
@@ -70,9 +79,9 @@ const p = (node, path, print) => {
     if (!isElseIf) {
         parts.push(
             printInline ? "" : hardline,
-            node.trimLeftEndif ? "{%-" : "{%",
+            printTagStart(node.trimLeftEndif),
             " endif ",
-            node.trimRight ? "-%}" : "%}",
+            printTagEnd(node.trimRight),
         );
     }
     return concat(parts);
@@ -1,17 +1,17 @@
 const prettier = require("prettier");
 const { group, concat, line, indent } = prettier.doc.builders;
-const { STRING_NEEDS_QUOTES } = require("../util");
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
 
 const p = (node, path, print) => {
     node[STRING_NEEDS_QUOTES] = true;
     return group(
         concat([
-            node.trimLeft ? "{%-" : "{%",
+            printTagStart(node.trimLeft),
             " import ",
             path.call(print, "key"),
             indent(concat([line, "as ", path.call(print, "alias")])),
             line,
-            node.trimRight ? "-%}" : "%}",
+            printTagEnd(node.trimRight),
         ]),
     );
 };
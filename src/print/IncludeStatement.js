@@ -1,11 +1,11 @@
 const prettier = require("prettier");
 const { group, concat } = prettier.doc.builders;
-const { STRING_NEEDS_QUOTES } = require("../util");
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
 
 const p = (node, path, print) => {
     node[STRING_NEEDS_QUOTES] = true;
     const parts = [
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         " include ",
         path.call(print, "source"),
     ];
@@ -18,7 +18,7 @@ const p = (node, path, print) => {
     if (node.contextFree) {
         parts.push(" only");
     }
-    parts.push(node.trimRight ? " -%}" : " %}");
+    parts.push(" ", printTagEnd(node.trimRight));
     return group(concat(parts));
 };
 
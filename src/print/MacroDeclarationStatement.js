@@ -1,7 +1,7 @@
 const prettier = require("prettier");
 const { group, join, concat, line, softline, hardline, indent } =
     prettier.doc.builders;
-const { STRING_NEEDS_QUOTES } = require("../util");
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
 
 const printArgument = (arg, index, path, print) => {
     if (arg.defaultValue) {
@@ -22,7 +22,7 @@ const printArgument = (arg, index, path, print) => {
 
 const printOpener = (node, path, print) => {
     const parts = [
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         " macro ",
         path.call(print, "name"),
         "(",
@@ -37,7 +37,7 @@ const printOpener = (node, path, print) => {
 
     const joinedArguments = join(concat([",", line]), mappedArguments);
     parts.push(indent(concat([softline, joinedArguments])));
-    parts.push(")", line, node.trimRightMacro ? "-%}" : "%}");
+    parts.push(")", line, printTagEnd(node.trimRightMacro));
     return group(concat(parts));
 };
 
@@ -49,9 +49,9 @@ const p = (node, path, print) => {
     parts.push(indent(concat([hardline, path.call(print, "body")])));
     parts.push(
         hardline,
-        node.trimLeftEndmacro ? "{%-" : "{%",
+        printTagStart(node.trimLeftEndmacro),
         " endmacro ",
-        node.trimRight ? "-%}" : "%}",
+        printTagEnd(node.trimRight),
     );
     return concat(parts);
 };
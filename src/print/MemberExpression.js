@@ -10,7 +10,11 @@ const p = (node, path, print) => {
     node[EXPRESSION_NEEDED] = false;
     node[STRING_NEEDS_QUOTES] = true;
     const parts = [path.call(print, "object")];
-    parts.push(node.computed ? "[" : ".");
+    if (node.computed) {
+        parts.push("[");
+    } else {
+        parts.push(node.nullSafe ? "?." : ".");
+    }
     parts.push(path.call(print, "property"));
     if (node.computed) {
         parts.push("]");
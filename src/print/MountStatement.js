@@ -1,6 +1,11 @@
 const prettier = require("prettier");
 const { group, concat, indent, line, hardline } = prettier.doc.builders;
-const { EXPRESSION_NEEDED, STRING_NEEDS_QUOTES } = require("../util");
+const {
+    EXPRESSION_NEEDED,
+    STRING_NEEDS_QUOTES,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
 
 const formatDelay = (delay) => {
     return "" + delay / 1000 + "s";
@@ -8,7 +13,7 @@ const formatDelay = (delay) => {
 
 const buildOpener = (node, path, print) => {
     const result = [];
-    const firstGroup = [node.trimLeft ? "{%-" : "{%", " mount"];
+    const firstGroup = [printTagStart(node.trimLeft), " mount"];
     if (node.async === true) {
         firstGroup.push(" async");
     }
@@ -45,7 +50,7 @@ const buildOpener = (node, path, print) => {
     }
     const trimRightMount =
         node.body || node.otherwise ? node.trimRightMount : node.trimRight;
-    result.push(concat([line, trimRightMount ? "-%}" : "%}"]));
+    result.push(concat([line, printTagEnd(trimRightMount)]));
     return group(concat(result));
 };
 
@@ -56,12 +61,12 @@ const buildBody = (path, print) => {
 const buildErrorHandling = (node, path, print) => {
     const parts = [];
     parts.push(
-        concat([hardline, node.trimLeftCatch ? "{%-" : "{%", " catch "]),
+        concat([hardline, printTagStart(node.trimLeftCatch), " catch "]),
     );
     if (node.errorVariableName) {
         parts.push(path.call(print, "errorVariableName"), " ");
     }
-    parts.push(node.trimRightCatch ? "-%}" : "%}");
+    parts.push(printTagEnd(node.trimRightCatch));
     parts.push(indent(concat([hardline, path.call(print, "otherwise")])));
     return concat(parts);
 };
@@ -80,9 +85,9 @@ const p = (node, path, print) => {
         parts.push(
             concat([
                 hardline,
-                node.trimLeftEndmount ? "{%-" : "{%",
+                printTagStart(node.trimLeftEndmount),
                 " endmount ",
-                node.trimRight ? "-%}" : "%}",
+                printTagEnd(node.trimRight),
             ]),
         );
     }
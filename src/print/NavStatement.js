@@ -0,0 +1,39 @@
+const prettier = require("prettier");
+const { concat, group, indent, line, hardline } = prettier.doc.builders;
+const {
+    STRING_NEEDS_QUOTES,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const printOpeningGroup = (node, path, print) =>
+    group(
+        concat([
+            printTagStart(node.trimLeft),
+            " nav ",
+            path.call(print, "item"),
+            " in",
+            indent(concat([line, path.call(print, "sequence")])),
+            line,
+            printTagEnd(node.trimRightNav),
+        ]),
+    );
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const openingGroup = printOpeningGroup(node, path, print);
+    const body = printChildBlock(node, path, print, "body");
+    const closingStatement = concat([
+        hardline,
+        printTagStart(node.trimLeftEndnav),
+        " endnav ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([openingGroup, body, closingStatement]);
+};
+
+module.exports = {
+    printNavStatement: p,
+};
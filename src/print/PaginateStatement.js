@@ -0,0 +1,26 @@
+const prettier = require("prettier");
+const { concat, group, indent, line } = prettier.doc.builders;
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const targets = [];
+    if (node.pageInfo) {
+        targets.push(path.call(print, "pageInfo"), ", ");
+    }
+    targets.push(path.call(print, "entries"));
+    return group(
+        concat([
+            printTagStart(node.trimLeft),
+            " paginate ",
+            path.call(print, "query"),
+            indent(concat([line, "as ", ...targets])),
+            line,
+            printTagEnd(node.trimRight),
+        ]),
+    );
+};
+
+module.exports = {
+    printPaginateStatement: p,
+};
@@ -0,0 +1,36 @@
+const prettier = require("prettier");
+const { concat, group, indent, line } = prettier.doc.builders;
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const parts = [
+        printTagStart(node.trimLeft),
+        " redirect ",
+        path.call(print, "url"),
+    ];
+    if (node.statusCode) {
+        parts.push(" ", path.call(print, "statusCode"));
+    }
+    ["notice", "error"].forEach((flashType) => {
+        if (node[flashType]) {
+            parts.push(
+                indent(
+                    concat([
+                        line,
+                        "with ",
+                        flashType,
+                        " ",
+                        path.call(print, flashType),
+                    ]),
+                ),
+            );
+        }
+    });
+    parts.push(line, printTagEnd(node.trimRight));
+    return group(concat(parts));
+};
+
+module.exports = {
+    printRedirectStatement: p,
+};
@@ -5,10 +5,14 @@ const {
     printChildGroups,
     isRootNode,
     STRING_NEEDS_QUOTES,
+    PREFORMATTED,
 } = require("../util");
 
 const p = (node, path, print) => {
     node[STRING_NEEDS_QUOTES] = false;
+    if (node[PREFORMATTED]) {
+        return concat(path.map(print, "expressions"));
+    }
     node.expressions = removeSurroundingWhitespace(node.expressions);
     const items = printChildGroups(node, path, print, "expressions");
     if (isRootNode(path)) {
@@ -5,6 +5,8 @@ const {
     isNotExpression,
     STRING_NEEDS_QUOTES,
     GROUP_TOP_LEVEL_LOGICAL,
+    printTagStart,
+    printTagEnd,
 } = require("../util");
 const { Node } = require("melody-types");
 
@@ -22,11 +24,11 @@ const buildSetStatement = (node, path, print, assignmentIndex) => {
 
     return group(
         concat([
-            node.trimLeft ? "{%-" : "{%",
+            printTagStart(node.trimLeft),
             " set ",
             path.call(print, "assignments", assignmentIndex),
             avoidBreakBeforeClosing ? " " : line,
-            node.trimRight ? "-%}" : "%}",
+            printTagEnd(node.trimRight),
         ]),
     );
 };
@@ -56,10 +58,11 @@ const printRegularSet = (node, path, print) => {
 
 const printEmbracingSet = (node, path, print) => {
     const parts = [
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         " set ",
         path.call(print, "assignments", "0", "name"),
-        node.trimRightSet ? " -%}" : " %}",
+        " ",
+        printTagEnd(node.trimRightSet),
     ];
     node[STRING_NEEDS_QUOTES] = false;
     const printedContents = printChildBlock(
@@ -74,9 +77,9 @@ const printEmbracingSet = (node, path, print) => {
     parts.push(printedContents);
     parts.push(
         hardline,
-        node.trimLeftEndset ? "{%-" : "{%",
+        printTagStart(node.trimLeftEndset),
         " endset ",
-        node.trimRight ? "-%}" : "%}",
+        printTagEnd(node.trimRight),
     );
     return concat(parts);
 };
@@ -1,19 +1,19 @@
 const prettier = require("prettier");
 const { concat, hardline, group } = prettier.doc.builders;
-const { printChildBlock } = require("../util");
+const { printChildBlock, printTagStart, printTagEnd } = require("../util");
 
 const p = (node, path, print) => {
     const parts = [
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         " spaceless ",
-        node.trimRightSpaceless ? "-%}" : "%}",
+        printTagEnd(node.trimRightSpaceless),
     ];
     parts.push(printChildBlock(node, path, print, "body"));
     parts.push(hardline);
     parts.push(
-        node.trimLeftEndspaceless ? "{%-" : "{%",
+        printTagStart(node.trimLeftEndspaceless),
         " endspaceless ",
-        node.trimRight ? "-%}" : "%}",
+        printTagEnd(node.trimRight),
     );
     const result = group(concat(parts));
     return result;
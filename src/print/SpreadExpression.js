@@ -0,0 +1,12 @@
+const prettier = require("prettier");
+const { concat } = prettier.doc.builders;
+const { STRING_NEEDS_QUOTES } = require("../util");
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    return concat(["...", path.call(print, "argument")]);
+};
+
+module.exports = {
+    printSpreadExpression: p,
+};
@@ -0,0 +1,34 @@
+const prettier = require("prettier");
+const { concat, group, hardline } = prettier.doc.builders;
+const {
+    STRING_NEEDS_QUOTES,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const openingGroup = group(
+        concat([
+            printTagStart(node.trimLeft),
+            " stopwatch ",
+            path.call(print, "name"),
+            " ",
+            printTagEnd(node.trimRightStopwatch),
+        ]),
+    );
+    const body = printChildBlock(node, path, print, "body");
+    const closingStatement = concat([
+        hardline,
+        printTagStart(node.trimLeftEndstopwatch),
+        " endstopwatch ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([openingGroup, body, closingStatement]);
+};
+
+module.exports = {
+    printStopwatchStatement: p,
+};
@@ -3,6 +3,7 @@ const {
     quoteChar,
     STRING_NEEDS_QUOTES,
     OVERRIDE_QUOTE_CHAR,
+    getVueAlpineReplacements,
 } = require("../util");
 
 const isUnmaskedOccurrence = (s, pos) => {
@@ -52,7 +53,7 @@ const p = (node, path, print, options) => {
 
     // Restore HTML entity placeholders before processing
     let value = node.value;
-    const replacements = options.vueAlpineReplacements || new Map();
+    const replacements = getVueAlpineReplacements(path);
 
     for (const [placeholder, entity] of replacements) {
         if (placeholder.startsWith("__HTML_ENTITY_")) {
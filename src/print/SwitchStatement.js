@@ -0,0 +1,58 @@
+const prettier = require("prettier");
+const { concat, group, indent, line, hardline } = prettier.doc.builders;
+const {
+    STRING_NEEDS_QUOTES,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const printCase = (node, path, print) => {
+    const caseStatement = node.test
+        ? group(
+              concat([
+                  printTagStart(node.trimLeft),
+                  " case",
+                  indent(concat([line, path.call(print, "test")])),
+                  line,
+                  printTagEnd(node.trimRight),
+              ]),
+          )
+        : concat([
+              printTagStart(node.trimLeft),
+              " default ",
+              printTagEnd(node.trimRight),
+          ]);
+    return concat([caseStatement, printChildBlock(node, path, print, "body")]);
+};
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const openingGroup = group(
+        concat([
+            printTagStart(node.trimLeft),
+            " switch",
+            indent(concat([line, path.call(print, "discriminant")])),
+            line,
+            printTagEnd(node.trimRightSwitch),
+        ]),
+    );
+    // Cases are indented, and their bodies are indented once more
+    const cases = path.map(
+        (casePath) =>
+            concat([hardline, printCase(casePath.getValue(), casePath, print)]),
+        "cases",
+    );
+    const closingStatement = concat([
+        hardline,
+        printTagStart(node.trimLeftEndswitch),
+        " endswitch ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([openingGroup, indent(concat(cases)), closingStatement]);
+};
+
+module.exports = {
+    printSwitchStatement: p,
+};
@@ -1,7 +1,14 @@
 const prettier = require("prettier");
 const { concat, softline, line, group, join, indent } = prettier.doc.builders;
-const { findParentNode } = require("../util");
+const {
+    STRING_NEEDS_QUOTES,
+    findParentNode,
+    getPluginPathsFromOptions,
+    loadPlugins,
+} = require("../util");
 
+// Tests of melody-extension-core, including their aliases
+// (e.g., "sameas" is printed as "same as")
 const textMap = {
     TestNullExpression: "null",
     TestDivisibleByExpression: "divisible by",
@@ -11,13 +18,37 @@ const textMap = {
     TestOddExpression: "odd",
     TestIterableExpression: "iterable",
     TestSameAsExpression: "same as",
+    TestConstantExpression: "constant",
+};
+
+// Plugins can set the text of their tests: testNames: { TestFoo: "foo" }
+const getPluginTestNames = (options) =>
+    loadPlugins(getPluginPathsFromOptions(options)).reduce(
+        (acc, plugin) => Object.assign(acc, plugin.testNames),
+        {},
+    );
+
+// TestDivisibleByExpression => "divisible by"
+const getTestNameFromType = (typeName) =>
+    typeName
+        .replace(/^Test|Expression$/g, "")
+        .replace(/[A-Z]/g, (c, i) => (i > 0 ? " " : "") + c.toLowerCase());
+
+const getTestName = (node, options) => {
+    const expressionType = node.__proto__.type;
+    return (
+        getPluginTestNames(options)[expressionType] ||
+        textMap[expressionType] ||
+        node.testName ||
+        getTestNameFromType(expressionType)
+    );
 };
 
 const isNegator = (node) =>
     node.constructor.name === "UnarySubclass" && node.operator === "not";
 
-const p = (node, path, print) => {
-    const expressionType = node.__proto__.type;
+const p = (node, path, print, options) => {
+    node[STRING_NEEDS_QUOTES] = true;
     const parts = [path.call(print, "expression"), " is "];
     const parent = findParentNode(path);
     const hasArguments =
@@ -25,13 +56,7 @@ const p = (node, path, print) => {
     if (isNegator(parent)) {
         parts.push("not ");
     }
-    if (!textMap[expressionType]) {
-        console.error(
-            "TestExpression: No text for " + expressionType + " defined",
-        );
-    } else {
-        parts.push(textMap[expressionType]);
-    }
+    parts.push(getTestName(node, options));
     if (hasArguments) {
         const printedArguments = path.map(print, "arguments");
         const joinedArguments = join(concat([",", line]), printedArguments);
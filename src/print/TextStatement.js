@@ -1,5 +1,6 @@
 const prettier = require("prettier");
-const { concat, line, join, hardline, indent } = prettier.doc.builders;
+const { concat, line, join, hardline, indent, literalline } =
+    prettier.doc.builders;
 const {
     isWhitespaceOnly,
     countNewlines,
@@ -7,7 +8,11 @@ const {
     PRESERVE_LEADING_WHITESPACE,
     PRESERVE_TRAILING_WHITESPACE,
     NEWLINES_ONLY,
+    PREFORMATTED,
+    getVueAlpineReplacements,
+    getProseWrap,
 } = require("../util");
+const { dedentLines } = require("../util/scriptFormatting.js");
 
 const newlinesOnly = (s, preserveWhitespace = true) => {
     const numNewlines = countNewlines(s);
@@ -19,6 +24,27 @@ const newlinesOnly = (s, preserveWhitespace = true) => {
     return concat([hardline, hardline]);
 };
 
+/**
+ * The lines of v-pre content as they are written, without the line
+ * breaks around them (the element prints its own) and without the
+ * indentation they share
+ */
+const printVPreContent = (content) => {
+    const lines = content
+        .replace(/^[ \t]*\n/, "")
+        .replace(/\n[ \t]*$/, "")
+        .split("\n");
+    const indentations = lines
+        .filter((sourceLine) => sourceLine.trim())
+        .map((sourceLine) => sourceLine.match(/^[ \t]*/)[0].length);
+    const commonIndentation =
+        indentations.length > 0 ? Math.min(...indentations) : 0;
+    return join(
+        hardline,
+        lines.map((sourceLine) => sourceLine.slice(commonIndentation)),
+    );
+};
+
 const decodeHtmlEntities = (text) => {
     // Add type check and conversion
     if (typeof text !== "string") {
@@ -30,7 +56,24 @@ const decodeHtmlEntities = (text) => {
     });
 };
 
-const p = (node, path, print, options) => {
+// Text within <pre> keeps its whitespace and the original text of
+// all placeholders. Its lines are not indented.
+const printPreformattedText = (text, replacements) => {
+    let result = text;
+    for (const [placeholder, originalContent] of replacements) {
+        result = result.split(placeholder).join(originalContent);
+    }
+    return join(literalline, result.split("\n"));
+};
+
+const p = (node, path, print) => {
+    if (node[PREFORMATTED] && typeof node.value.value === "string") {
+        return printPreformattedText(
+            node.value.value,
+            getVueAlpineReplacements(path),
+        );
+    }
+
     // Check for special values that might have been
     // computed during preprocessing
     const preserveLeadingWhitespace =
@@ -55,7 +98,7 @@ const p = (node, path, print, options) => {
     }
 
     // Check if this is a special content placeholder
-    const replacements = options.vueAlpineReplacements || new Map();
+    const replacements = getVueAlpineReplacements(path);
 
     // First check for exact match
     if (
@@ -64,9 +107,10 @@ const p = (node, path, print, options) => {
     ) {
         const originalContent = replacements.get(rawString.trim());
 
-        // Handle v-pre content - return it exactly as-is with no formatting
+        // Handle v-pre content - it is not formatted, but indented like
+        // any other child of the element
         if (rawString.trim().startsWith("v-pre-content-")) {
-            return originalContent;
+            return printVPreContent(originalContent);
         }
 
         // Handle Vue template expressions - return them as-is to prevent line breaks
@@ -74,12 +118,9 @@ const p = (node, path, print, options) => {
             return originalContent;
         }
 
-        // Return the original script/style content with indentation preserved
-        const decodedContent = decodeHtmlEntities(originalContent);
-
-        // Apply indentation to the content. Since this is inside a script/style tag,
-        // it should be indented as if it's a child of the tag
-        return indent(concat([hardline, decodedContent.trim(), hardline]));
+        // Script or style content that embed.js did not format keeps
+        // its lines, but is indented like any other child of the element
+        return join(hardline, dedentLines(originalContent));
     }
 
     // Check for placeholders embedded within the text (partial matches)
@@ -146,6 +187,7 @@ const p = (node, path, print, options) => {
             replacedString,
             preserveLeadingWhitespace,
             preserveTrailingWhitespace,
+            getProseWrap(path),
         );
         return join(concat([hardline, hardline]), textGroups);
     }
@@ -181,6 +223,7 @@ const p = (node, path, print, options) => {
         decodedString,
         preserveLeadingWhitespace,
         preserveTrailingWhitespace,
+        getProseWrap(path),
     );
 
     return join(concat([hardline, hardline]), textGroups);
@@ -0,0 +1,18 @@
+const prettier = require("prettier");
+const { concat } = prettier.doc.builders;
+const { STRING_NEEDS_QUOTES, printTagStart, printTagEnd } = require("../util");
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    return concat([
+        printTagStart(node.trimLeft),
+        " trans_default_domain ",
+        path.call(print, "domain"),
+        " ",
+        printTagEnd(node.trimRight),
+    ]);
+};
+
+module.exports = {
+    printTransDefaultDomainStatement: p,
+};
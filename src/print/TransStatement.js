@@ -0,0 +1,44 @@
+const prettier = require("prettier");
+const { concat, group, join, literalline } = prettier.doc.builders;
+const {
+    STRING_NEEDS_QUOTES,
+    getVueAlpineReplacements,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const printOpeningGroup = (node, path, print) => {
+    const parts = [printTagStart(node.trimLeft), " trans"];
+    if (node.count) {
+        parts.push(" count ", path.call(print, "count"));
+    }
+    if (node.argument) {
+        parts.push(" with ", path.call(print, "argument"));
+    }
+    if (node.domain) {
+        parts.push(" from ", path.call(print, "domain"));
+    }
+    if (node.locale) {
+        parts.push(" into ", path.call(print, "locale"));
+    }
+    parts.push(" ", printTagEnd(node.trimRightTrans));
+    return group(concat(parts));
+};
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const message = getVueAlpineReplacements(path).get(node.placeholder) || "";
+    // The message is the translation key, so it is printed exactly
+    // as written
+    return concat([
+        printOpeningGroup(node, path, print),
+        join(literalline, message.split("\n")),
+        printTagStart(node.trimLeftEndtrans),
+        " endtrans ",
+        printTagEnd(node.trimRight),
+    ]);
+};
+
+module.exports = {
+    printTransStatement: p,
+};
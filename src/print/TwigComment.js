@@ -5,14 +5,24 @@ const {
     stripTwigCommentChars,
     normalizeTwigComment,
     countNewlines,
+    printCommentStart,
+    printCommentEnd,
 } = require("../util");
 
+// "-" or "~" if the delimiter has whitespace control
+const getWhitespaceControl = (c) => (c === "-" || c === "~" ? c : false);
+
 const p = (node) => {
     const originalText = node.value.value || "";
     const commentText = stripTwigCommentChars(originalText);
-    const trimLeft = originalText.length >= 3 ? originalText[2] === "-" : false;
+    const trimLeft =
+        originalText.length >= 3
+            ? getWhitespaceControl(originalText[2])
+            : false;
     const trimRight =
-        originalText.length >= 3 ? originalText.slice(-3, -2) === "-" : false;
+        originalText.length >= 3
+            ? getWhitespaceControl(originalText.slice(-3, -2))
+            : false;
 
     const numNewlines = countNewlines(commentText);
     if (numNewlines === 0) {
@@ -20,9 +30,9 @@ const p = (node) => {
     }
 
     return concat([
-        trimLeft ? "{#-" : "{#",
+        printCommentStart(trimLeft),
         commentText,
-        trimRight ? "-#}" : "#}",
+        printCommentEnd(trimRight),
     ]);
 };
 
@@ -13,6 +13,8 @@ const argumentNeedsParentheses = (node) => isMultipartExpression(node);
 
 const isLogicalOperator = (operator) => operator === "not";
 
+const isSymbolOperator = (operator) => /^[^a-z]+$/i.test(operator);
+
 const printLogicalExpression = (node, path, print) => {
     const foundRootAbove = firstValueInAncestorChain(
         path,
@@ -51,10 +53,19 @@ const p = (node, path, print) => {
     if (isLogicalOperator(node.operator) && !hasTestExpressionArgument) {
         return printLogicalExpression(node, path, print);
     }
-    if (!hasTestExpressionArgument) {
-        parts.push(node.operator, " ");
+    if (hasTestExpressionArgument) {
+        return path.call(print, "argument");
+    }
+    // -a without a space, and -(a + b) keeps its parentheses
+    parts.push(node.operator, isSymbolOperator(node.operator) ? "" : " ");
+    const needsParentheses = argumentNeedsParentheses(node.argument);
+    if (needsParentheses) {
+        parts.push("(");
     }
     parts.push(path.call(print, "argument"));
+    if (needsParentheses) {
+        parts.push(")");
+    }
     return concat(parts);
 };
 
@@ -1,9 +1,10 @@
 const prettier = require("prettier");
+const { printTagStart, printTagEnd } = require("../util");
 const { concat, group, indent, join, line } = prettier.doc.builders;
 
 const p = (node, path, print) => {
     const docs = [
-        node.trimLeft ? "{%-" : "{%",
+        printTagStart(node.trimLeft),
         ' use "',
         path.call(print, "source"),
         '"',
@@ -19,7 +20,7 @@ const p = (node, path, print) => {
     } else {
         docs.push(" ");
     }
-    docs.push(node.trimRight ? "-%}" : "%}");
+    docs.push(printTagEnd(node.trimRight));
     return group(concat(docs));
 };
 
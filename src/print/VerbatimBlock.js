@@ -0,0 +1,28 @@
+const prettier = require("prettier");
+const { concat, join, literalline } = prettier.doc.builders;
+const {
+    getVueAlpineReplacements,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const p = (node, path) => {
+    const content = getVueAlpineReplacements(path).get(node.placeholder) || "";
+    // The content is printed exactly as written, without the
+    // indentation of the surrounding code
+    return concat([
+        printTagStart(node.trimLeft) + " ",
+        node.tagName,
+        " ",
+        printTagEnd(node.trimRightVerbatim),
+        join(literalline, content.split("\n")),
+        printTagStart(node.trimLeftEndverbatim) + " ",
+        `end${node.tagName}`,
+        " ",
+        printTagEnd(node.trimRight),
+    ]);
+};
+
+module.exports = {
+    printVerbatimBlock: p,
+};
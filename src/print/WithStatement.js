@@ -0,0 +1,39 @@
+const prettier = require("prettier");
+const { concat, group, hardline } = prettier.doc.builders;
+const {
+    STRING_NEEDS_QUOTES,
+    printChildBlock,
+    printTagStart,
+    printTagEnd,
+} = require("../util");
+
+const printOpeningGroup = (node, path, print) => {
+    const parts = [printTagStart(node.trimLeft), " with"];
+    if (node.argument) {
+        // The variables are printed like the context of an include
+        parts.push(" ", path.call(print, "argument"));
+    }
+    if (node.contextFree) {
+        parts.push(" only");
+    }
+    parts.push(" ", printTagEnd(node.trimRightWith));
+    return group(concat(parts));
+};
+
+const p = (node, path, print) => {
+    node[STRING_NEEDS_QUOTES] = true;
+    const openingGroup = printOpeningGroup(node, path, print);
+    const body = printChildBlock(node, path, print, "body");
+    const closingStatement = concat([
+        hardline,
+        printTagStart(node.trimLeftEndwith),
+        " endwith ",
+        printTagEnd(node.trimRight),
+    ]);
+
+    return concat([openingGroup, body, closingStatement]);
+};
+
+module.exports = {
+    printWithStatement: p,
+};
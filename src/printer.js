@@ -17,6 +17,10 @@ const { printCallExpression } = require("./print/CallExpression.js");
 const { printTestExpression } = require("./print/TestExpression.js");
 const { printUnaryExpression } = require("./print/UnaryExpression.js");
 const { printUnarySubclass } = require("./print/UnarySubclass.js");
+const { printSpreadExpression } = require("./print/SpreadExpression.js");
+const {
+    printArrowFunctionExpression,
+} = require("./print/ArrowFunctionExpression.js");
 const { printTextStatement } = require("./print/TextStatement.js");
 const { printStringLiteral } = require("./print/StringLiteral.js");
 const { printArrayExpression } = require("./print/ArrayExpression.js");
@@ -48,6 +52,26 @@ const {
 const {
     printFilterBlockStatement,
 } = require("./print/FilterBlockStatement.js");
+const { printApplyStatement } = require("./print/ApplyStatement.js");
+const { printVerbatimBlock } = require("./print/VerbatimBlock.js");
+const { printWithStatement } = require("./print/WithStatement.js");
+const { printCacheStatement } = require("./print/CacheStatement.js");
+const { printComponentStatement } = require("./print/ComponentStatement.js");
+const { printTransStatement } = require("./print/TransStatement.js");
+const {
+    printTransDefaultDomainStatement,
+} = require("./print/TransDefaultDomainStatement.js");
+const { printFormThemeStatement } = require("./print/FormThemeStatement.js");
+const { printStopwatchStatement } = require("./print/StopwatchStatement.js");
+const { printDumpStatement } = require("./print/DumpStatement.js");
+const { printNavStatement } = require("./print/NavStatement.js");
+const { printIfChildrenStatement } = require("./print/IfChildrenStatement.js");
+const { printPaginateStatement } = require("./print/PaginateStatement.js");
+const { printSwitchStatement } = require("./print/SwitchStatement.js");
+const { printAssetStatement } = require("./print/AssetStatement.js");
+const { printCraftCacheStatement } = require("./print/CraftCacheStatement.js");
+const { printRedirectStatement } = require("./print/RedirectStatement.js");
+const { printCraftTagStatement } = require("./print/CraftTagStatement.js");
 const {
     printVariableDeclarationStatement,
 } = require("./print/VariableDeclarationStatement.js");
@@ -60,25 +84,44 @@ const {
     isTwigCommentEqualTo,
     getPluginPathsFromOptions,
     loadPlugins,
+    getOriginalSource,
 } = require("./util");
-const { ORIGINAL_SOURCE, VUE_ALPINE_REPLACEMENTS } = require("./parser");
 
 const printFunctions = {};
 
-const applyPlugin = (loadedPlugin) => {
-    if (loadedPlugin && loadedPlugin.printers) {
-        for (const printerName of Object.keys(loadedPlugin.printers)) {
-            printFunctions[printerName] = loadedPlugin.printers[printerName];
-        }
-    }
-};
+/**
+ * Everything the printer remembers while printing a document is kept
+ * in this state object on the AST root, so that documents formatted
+ * at the same time cannot influence each other.
+ */
+const PRINT_STATE = Symbol("PRINT_STATE");
 
-const applyPlugins = (options) => {
+/**
+ * Print functions from the plugins configured for a document take
+ * precedence over the built-in ones, but only for that document
+ */
+const createPrintFunctions = (options) => {
     const pluginPaths = getPluginPathsFromOptions(options);
-    const loadedPlugins = loadPlugins(pluginPaths);
-    loadedPlugins.forEach((plugin) => {
-        applyPlugin(plugin);
+    const result = Object.assign({}, printFunctions);
+    loadPlugins(pluginPaths).forEach((loadedPlugin) => {
+        if (loadedPlugin && loadedPlugin.printers) {
+            Object.assign(result, loadedPlugin.printers);
+        }
     });
+    return result;
+};
+
+const getPrintState = (path, options) => {
+    const root = path.root;
+    // Printing always starts at the root, which resets the state
+    if (path.getValue() === root || !root[PRINT_STATE]) {
+        root[PRINT_STATE] = {
+            printFunctions: createPrintFunctions(options),
+            ignoreRegion: false,
+            ignoreNext: false,
+        };
+    }
+    return root[PRINT_STATE];
 };
 
 const isHtmlIgnoreNextComment = isHtmlCommentEqualTo("prettier-ignore");
@@ -95,92 +138,73 @@ const isIgnoreRegionStartComment = (s) =>
 const isIgnoreRegionEndComment = (s) =>
     isHtmlIgnoreEndComment(s) || isTwigIgnoreEndComment(s);
 
-let originalSource = "";
-let vueAlpineReplacements = new Map();
-let ignoreRegion = false;
-let ignoreNext = false;
-
-const checkForIgnoreStart = (node) => {
+const checkForIgnoreStart = (state, node) => {
     // Keep current "ignoreNext" value if it's true,
     // but is not applied in this step yet
-    ignoreNext =
-        (ignoreNext && !shouldApplyIgnoreNext(node)) ||
+    state.ignoreNext =
+        (state.ignoreNext && !shouldApplyIgnoreNext(node)) ||
         isIgnoreNextComment(node);
-    ignoreRegion = ignoreRegion || isIgnoreRegionStartComment(node);
+    state.ignoreRegion = state.ignoreRegion || isIgnoreRegionStartComment(node);
 };
 
-const checkForIgnoreEnd = (node) => {
-    if (ignoreRegion && isIgnoreRegionEndComment(node)) {
-        ignoreRegion = false;
+const checkForIgnoreEnd = (state, node) => {
+    if (state.ignoreRegion && isIgnoreRegionEndComment(node)) {
+        state.ignoreRegion = false;
     }
 };
 
 const shouldApplyIgnoreNext = (node) => !isWhitespaceNode(node);
 
 const print = (path, options, print) => {
-    applyPlugins(options);
+    const state = getPrintState(path, options);
+    const originalSource = getOriginalSource(path);
 
     const node = path.getValue();
     const nodeType = node.constructor.name;
 
-    // Try to get the entire original source from AST root
-    if (node[ORIGINAL_SOURCE]) {
-        originalSource = node[ORIGINAL_SOURCE];
-    }
-
-    // Try to get Vue/Alpine replacements from AST root
-    if (node[VUE_ALPINE_REPLACEMENTS]) {
-        vueAlpineReplacements = node[VUE_ALPINE_REPLACEMENTS];
-        // Add replacements to options so they're available to print functions
-        options.vueAlpineReplacements = vueAlpineReplacements;
-    }
-
-    // Ensure replacements are always available from the global variable
-    if (!options.vueAlpineReplacements && vueAlpineReplacements) {
-        options.vueAlpineReplacements = vueAlpineReplacements;
-    }
-
-    if (options.twigPrintWidth) {
+    if (node === path.root && options.twigPrintWidth) {
+        // Prettier lays out the printed document with these same
+        // options, so this is the one setting that has to be changed
         options.printWidth = options.twigPrintWidth;
     }
 
-    checkForIgnoreEnd(node);
+    checkForIgnoreEnd(state, node);
     const useOriginalSource =
-        (shouldApplyIgnoreNext(node) && ignoreNext) || ignoreRegion;
-    const hasPrintFunction = printFunctions[nodeType];
+        (shouldApplyIgnoreNext(node) && state.ignoreNext) || state.ignoreRegion;
+    const printFunction = state.printFunctions[nodeType];
 
     // Happy path: We have a formatting function, and the user wants the
     // node formatted
-    if (!useOriginalSource && hasPrintFunction) {
-        checkForIgnoreStart(node);
-        const result = printFunctions[nodeType](node, path, print, options);
+    if (!useOriginalSource && printFunction) {
+        checkForIgnoreStart(state, node);
+        const result = printFunction(node, path, print, options);
 
         return result;
-    } else if (!hasPrintFunction) {
+    } else if (!printFunction) {
         console.warn(`No print function available for node type "${nodeType}"`);
     }
 
-    checkForIgnoreStart(node);
+    checkForIgnoreStart(state, node);
 
     // Fallback: Use the node's loc property with the
-    // originalSource property on the AST root
-    if (canGetSubstringForNode(node)) {
-        return getSubstringForNode(node);
+    // original source stored on the AST root
+    if (canGetSubstringForNode(originalSource, node)) {
+        return getSubstringForNode(originalSource, node);
     }
 
     return "";
 };
 
-const getSubstringForNode = (node) =>
+const getSubstringForNode = (originalSource, node) =>
     originalSource.substring(node.loc.start.index, node.loc.end.index);
 
-const canGetSubstringForNode = (node) =>
+const canGetSubstringForNode = (originalSource, node) =>
     originalSource &&
     node.loc &&
     node.loc.start &&
     node.loc.end &&
-    node.loc.start.index &&
-    node.loc.end.index;
+    typeof node.loc.start.index === "number" &&
+    typeof node.loc.end.index === "number";
 /**
  * Prettier printing works with a so-called FastPath object, which is
  * passed into many of the following methods through a "path" argument.
@@ -232,6 +256,8 @@ printFunctions["UnaryExpression"] = printUnaryExpression;
 printFunctions["BinaryExpression"] = printBinaryExpression;
 printFunctions["BinarySubclass"] = printBinaryExpression;
 printFunctions["UnarySubclass"] = printUnarySubclass;
+printFunctions["SpreadExpression"] = printSpreadExpression;
+printFunctions["ArrowFunctionExpression"] = printArrowFunctionExpression;
 printFunctions["TestExpression"] = printTestExpression;
 printFunctions["ConditionalExpression"] = printConditionalExpression;
 printFunctions["Element"] = printElement;
@@ -274,6 +300,28 @@ printFunctions["DoStatement"] = printDoStatement;
 printFunctions["ExtendsStatement"] = printExtendsStatement;
 printFunctions["EmbedStatement"] = printEmbedStatement;
 printFunctions["FilterBlockStatement"] = printFilterBlockStatement;
+printFunctions["ApplyStatement"] = printApplyStatement;
+printFunctions["VerbatimBlock"] = printVerbatimBlock;
+printFunctions["WithStatement"] = printWithStatement;
+printFunctions["CacheStatement"] = printCacheStatement;
+printFunctions["ComponentStatement"] = printComponentStatement;
+// Tags of the "symfony" preset
+printFunctions["TransStatement"] = printTransStatement;
+printFunctions["TransDefaultDomainStatement"] =
+    printTransDefaultDomainStatement;
+printFunctions["FormThemeStatement"] = printFormThemeStatement;
+printFunctions["StopwatchStatement"] = printStopwatchStatement;
+printFunctions["DumpStatement"] = printDumpStatement;
+// Tags of the "craft" preset
+printFunctions["NavStatement"] = printNavStatement;
+printFunctions["IfChildrenStatement"] = printIfChildrenStatement;
+printFunctions["PaginateStatement"] = printPaginateStatement;
+printFunctions["SwitchStatement"] = printSwitchStatement;
+printFunctions["JsStatement"] = printAssetStatement;
+printFunctions["CssStatement"] = printAssetStatement;
+printFunctions["CraftCacheStatement"] = printCraftCacheStatement;
+printFunctions["RedirectStatement"] = printRedirectStatement;
+printFunctions["CraftTagStatement"] = printCraftTagStatement;
 printFunctions["ImportDeclaration"] = printImportDeclaration;
 printFunctions["FromStatement"] = printFromStatement;
 printFunctions["MacroDeclarationStatement"] = printMacroDeclarationStatement;
@@ -281,11 +329,13 @@ printFunctions["TwigComment"] = printTwigComment;
 printFunctions["HtmlComment"] = printHtmlComment;
 printFunctions["Declaration"] = printDeclaration;
 printFunctions["GenericTwigTag"] = (node, path, print, options) => {
-    const tagName = node.tagName;
-    if (printFunctions[tagName + "Tag"]) {
+    const tagPrintFunction = getPrintState(path, options).printFunctions[
+        node.tagName + "Tag"
+    ];
+    if (tagPrintFunction) {
         // Give the user the chance to implement a custom
         // print function for certain generic Twig tags
-        return printFunctions[tagName + "Tag"](node, path, print, options);
+        return tagPrintFunction(node, path, print, options);
     }
     return printGenericTwigTag(node, path, print, options);
 };
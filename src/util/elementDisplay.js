@@ -0,0 +1,191 @@
+const { Node } = require("melody-types");
+const { ELEMENT_DISPLAY } = require("./publicSymbols.js");
+const { getChildNodes } = require("./locationUtil.js");
+
+/**
+ * The CSS display of HTML elements in the default style sheet of
+ * browsers, as used by Prettier's HTML printer. Elements that are
+ * not listed (including custom elements) are "inline".
+ * https://html.spec.whatwg.org/multipage/rendering.html
+ */
+const DEFAULT_DISPLAYS = {
+    // Not rendered
+    area: "none",
+    base: "none",
+    basefont: "none",
+    datalist: "none",
+    head: "none",
+    link: "none",
+    meta: "none",
+    noembed: "none",
+    noframes: "none",
+    rp: "none",
+    script: "block",
+    style: "none",
+    template: "block",
+    title: "none",
+
+    html: "block",
+    body: "block",
+    address: "block",
+    blockquote: "block",
+    center: "block",
+    dialog: "block",
+    div: "block",
+    figure: "block",
+    figcaption: "block",
+    footer: "block",
+    form: "block",
+    header: "block",
+    hr: "block",
+    legend: "block",
+    listing: "block",
+    main: "block",
+    p: "block",
+    plaintext: "block",
+    pre: "block",
+    search: "block",
+    xmp: "block",
+
+    article: "block",
+    aside: "block",
+    h1: "block",
+    h2: "block",
+    h3: "block",
+    h4: "block",
+    h5: "block",
+    h6: "block",
+    hgroup: "block",
+    nav: "block",
+    section: "block",
+
+    dir: "block",
+    dd: "block",
+    dl: "block",
+    dt: "block",
+    menu: "block",
+    ol: "block",
+    ul: "block",
+    li: "list-item",
+
+    table: "table",
+    caption: "table-caption",
+    colgroup: "table-column-group",
+    col: "table-column",
+    thead: "table-header-group",
+    tbody: "table-row-group",
+    tfoot: "table-footer-group",
+    tr: "table-row",
+    td: "table-cell",
+    th: "table-cell",
+
+    fieldset: "block",
+    details: "block",
+    summary: "block",
+    option: "block",
+    optgroup: "block",
+    source: "block",
+    track: "block",
+    param: "block",
+
+    button: "inline-block",
+    input: "inline-block",
+    select: "inline-block",
+    textarea: "inline-block",
+    meter: "inline-block",
+    progress: "inline-block",
+    marquee: "inline-block",
+    object: "inline-block",
+    video: "inline-block",
+    audio: "inline-block",
+
+    ruby: "ruby",
+    rt: "ruby-text",
+    slot: "contents",
+};
+
+// <!-- display: inline -->
+const DISPLAY_COMMENT = /^<!--\s*display:\s*([a-z-]+)\s*-->$/;
+
+// Twig components (<twig:Alert>) are replaced by their template
+const isTwigComponent = (name) => name.startsWith("twig:");
+
+const getElementDisplay = (node) =>
+    node[ELEMENT_DISPLAY] ||
+    DEFAULT_DISPLAYS[node.name] ||
+    (isTwigComponent(node.name) ? "block" : "inline");
+
+/**
+ * Whitespace next to these elements is not rendered. Elements that are
+ * not rendered at all are treated alike.
+ */
+const isBlockLikeDisplay = (display) =>
+    display === "block" ||
+    display === "list-item" ||
+    display === "none" ||
+    display.startsWith("table");
+
+/**
+ * Whether whitespace at the start and end of the children is rendered
+ */
+const isInnerWhitespaceSensitiveDisplay = (display) =>
+    !isBlockLikeDisplay(display) && display !== "inline-block";
+
+const getDisplayComment = (node) => {
+    if (!Node.isHtmlComment(node) || typeof node.value.value !== "string") {
+        return null;
+    }
+    const match = DISPLAY_COMMENT.exec(node.value.value.trim());
+    return match ? match[1] : null;
+};
+
+const isWhitespaceText = (node) =>
+    Node.isPrintTextStatement(node) &&
+    typeof node.value.value === "string" &&
+    node.value.value.trim() === "";
+
+/**
+ * Stores the display of every element, following the
+ * twigWhitespaceSensitivity option:
+ * - "css": The default display, or the one set by a preceding
+ *   <!-- display: ... --> comment
+ * - "strict": All elements are inline
+ * - "ignore": Like "css"; the printer does not keep whitespace
+ *
+ * @param {object} ast The root node returned by melody-parser
+ * @param {string} sensitivity The twigWhitespaceSensitivity option
+ */
+const annotateElementDisplays = (ast, sensitivity) => {
+    const visit = (node) => {
+        Object.keys(node).forEach((key) => {
+            const children = node[key];
+            if (!Array.isArray(children)) {
+                return;
+            }
+            let display = null;
+            children.forEach((child) => {
+                if (getDisplayComment(child)) {
+                    display = getDisplayComment(child);
+                } else if (Node.isElement(child)) {
+                    child[ELEMENT_DISPLAY] =
+                        sensitivity === "strict"
+                            ? "inline"
+                            : display || getElementDisplay(child);
+                    display = null;
+                } else if (!isWhitespaceText(child)) {
+                    display = null;
+                }
+            });
+        });
+        getChildNodes(node).forEach(visit);
+    };
+    visit(ast);
+};
+
+module.exports = {
+    DEFAULT_DISPLAYS,
+    getElementDisplay,
+    isBlockLikeDisplay,
+    isInnerWhitespaceSensitiveDisplay,
+    annotateElementDisplays,
+};
@@ -2,6 +2,7 @@ const pluginUtil = require("./pluginUtil.js");
 const publicSymbols = require("./publicSymbols.js");
 const publicFunctions = require("./publicFunctions.js");
 const printFunctions = require("./printFunctions.js");
+const locationUtil = require("./locationUtil.js");
 
 const combinedExports = Object.assign(
     {},
@@ -9,6 +10,7 @@ const combinedExports = Object.assign(
     publicSymbols,
     publicFunctions,
     printFunctions,
+    locationUtil,
 );
 
 module.exports = combinedExports;
@@ -0,0 +1,306 @@
+const prettier = require("prettier");
+const { concat, hardline, lineSuffix, breakParent, trim } =
+    prettier.doc.builders;
+const { Lexer, Types } = require("melody-parser");
+const { Node } = require("melody-types");
+const {
+    toOriginalIndex,
+    getChildNodes,
+    locStart,
+    locEnd,
+} = require("./locationUtil.js");
+
+const INLINE_COMMENT = "InlineComment";
+
+const isBlockEnd = (input) => {
+    const offset = input.la(0) === "-" || input.la(0) === "~" ? 1 : 0;
+    const c = input.la(offset);
+    return (c === "}" || c === "%") && input.la(offset + 1) === "}";
+};
+
+/**
+ * Twig 3.15 allows "# comments" within {{ }} and {% %}, which end
+ * with the line or the block. The lexer hands the parser whitespace
+ * in their place and collects them in lexer.inlineComments.
+ */
+const enableInlineComments = (lexer) => {
+    lexer.inlineComments = [];
+    lexer.matchExpression = function matchExpression(pos) {
+        const input = this.input;
+        if (input.la(0) !== "#") {
+            return Lexer.prototype.matchExpression.call(this, pos);
+        }
+        while (input.index < input.length) {
+            if (input.la(0) === "\n" || isBlockEnd(input)) {
+                break;
+            }
+            input.next();
+        }
+        const token = this.createToken(Types.WHITESPACE, pos);
+        this.inlineComments.push({
+            type: INLINE_COMMENT,
+            value: token.text.trimEnd(),
+            loc: {
+                start: { index: pos.index },
+                end: { index: pos.index + token.text.trimEnd().length },
+            },
+        });
+        return token;
+    };
+    return lexer;
+};
+
+/**
+ * The comments with locations in the original source, for
+ * Prettier to attach them to the nearest expression
+ */
+const getInlineComments = (lexer, tracker) =>
+    lexer.inlineComments.map((comment) => ({
+        ...comment,
+        loc: {
+            start: {
+                index: toOriginalIndex(tracker, comment.loc.start.index),
+            },
+            end: {
+                index: toOriginalIndex(tracker, comment.loc.end.index, true),
+            },
+        },
+    }));
+
+const isInlineComment = (node) => !!node && node.type === INLINE_COMMENT;
+
+// Sequences are lists of statements, not expressions
+const canAttachInlineComment = (node) =>
+    !!node &&
+    !!node.loc &&
+    ((Node.isExpression(node) && !Node.isSequenceExpression(node)) ||
+        Node.isObjectProperty(node));
+
+const getEnclosingBlock = (text, comment) => {
+    const start = Math.max(
+        text.lastIndexOf("{{", locStart(comment)),
+        text.lastIndexOf("{%", locStart(comment)),
+    );
+    const ends = [
+        text.indexOf("}}", locEnd(comment)),
+        text.indexOf("%}", locEnd(comment)),
+    ].filter((index) => index >= 0);
+    return {
+        start,
+        end: ends.length > 0 ? Math.min(...ends) + 2 : text.length,
+    };
+};
+
+/**
+ * Takes the place of the whitespace control flag of a closing
+ * delimiter whose comments are printed with the delimiter: those of
+ * a tag without an expression ({% else # why %}), and those next to
+ * an expression that prints its own {{ }} (in attribute values).
+ */
+class CommentedDelimiter {
+    constructor(trim) {
+        this.trim = trim;
+        this.comments = [];
+    }
+}
+
+const addDelimiterComment = (node, flag, comment) => {
+    if (!(node[flag] instanceof CommentedDelimiter)) {
+        node[flag] = new CommentedDelimiter(node[flag]);
+    }
+    node[flag].comments.push(comment);
+};
+
+const hasLocation = (node) =>
+    !!node.loc && !!node.loc.start && typeof node.loc.start.index === "number";
+
+/**
+ * The nodes spanning the whole block (innermost first) and the
+ * outermost node within the block
+ */
+const getBlockNodes = (ast, block) => {
+    const spanningNodes = [];
+    let outermostNode = null;
+    const visit = (node) => {
+        if (isInlineComment(node) || !hasLocation(node)) {
+            return;
+        }
+        const start = locStart(node);
+        const end = locEnd(node);
+        if (start >= block.start && end <= block.end) {
+            outermostNode = outermostNode || node;
+            return;
+        }
+        if (start <= block.start && end >= block.end) {
+            spanningNodes.unshift(node);
+        } else if (start >= block.end || end <= block.start) {
+            return;
+        }
+        getChildNodes(node).forEach(visit);
+    };
+    visit(ast);
+    return { spanningNodes, outermostNode };
+};
+
+const getTagName = (text, block) => {
+    const match = /^\{%[-~]?\s*(\w+)/.exec(text.slice(block.start));
+    return match ? match[1] : "";
+};
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+const hasOwnFlag = (node, flag) =>
+    Object.prototype.hasOwnProperty.call(node, flag);
+
+/**
+ * The flag of the closing delimiter of a tag is named after the tag
+ * (trimRightElse for {% else %}), except for the last tag of a
+ * statement, which ends with trimRight. Tags of melody's multi-tag
+ * statements (e.g. {% else %} of an elseif chain) are owned by the
+ * outermost statement, so the search starts at the innermost one.
+ */
+const findTagEnd = (spanningNodes, block, tagName) => {
+    const flags = ["trimRight" + capitalize(tagName), "trimRight"];
+    for (const node of spanningNodes) {
+        const flag = flags.find(
+            (name) =>
+                hasOwnFlag(node, name) &&
+                (name !== "trimRight" || locEnd(node) === block.end),
+        );
+        if (flag) {
+            return { node, flag };
+        }
+    }
+    const statement = spanningNodes.find((node) =>
+        hasOwnFlag(node, "trimRight"),
+    );
+    return statement ? { node: statement, flag: "trimRight" } : null;
+};
+
+/**
+ * The operands of string interpolations are printed one by one, the
+ * nested concatenations holding them are not
+ */
+const getPrintedNode = (node, side) => {
+    let result = node;
+    while (Node.isBinaryConcatExpression(result)) {
+        result = result[side];
+    }
+    return result;
+};
+
+/**
+ * Prettier looks for the nodes next to a comment in the whole
+ * template, but a comment may only be attached to an expression
+ * of its own {{ }} or {% %} block. Otherwise, it would be moved.
+ * Comments without such an expression go with the closing delimiter.
+ */
+const handleInlineComment = (comment, text, options, ast) => {
+    const block = getEnclosingBlock(text, comment);
+    const isInBlock = (node) =>
+        !!node && locStart(node) >= block.start && locEnd(node) <= block.end;
+    const { spanningNodes, outermostNode } = getBlockNodes(ast, block);
+    const isTag = text.startsWith("{%", block.start);
+    const isStatement = spanningNodes.some(
+        (node) =>
+            Node.isPrintExpressionStatement(node) &&
+            locStart(node) === block.start,
+    );
+    const precedingNode = isInBlock(comment.precedingNode)
+        ? getPrintedNode(comment.precedingNode, "right")
+        : null;
+    const followingNode = isInBlock(comment.followingNode)
+        ? getPrintedNode(comment.followingNode, "left")
+        : null;
+    const enclosingNode = isInBlock(comment.enclosingNode)
+        ? comment.enclosingNode
+        : null;
+    let target = null;
+    let isLeading = false;
+    if (
+        precedingNode &&
+        (comment.placement === "endOfLine" || !followingNode)
+    ) {
+        target = precedingNode;
+    } else if (followingNode) {
+        target = followingNode;
+        isLeading = true;
+    } else if (enclosingNode) {
+        // Within an empty hash or array
+        target = enclosingNode;
+    }
+
+    if (target && (isTag || isStatement || target !== outermostNode)) {
+        if (isLeading) {
+            prettier.util.addLeadingComment(target, comment);
+        } else {
+            prettier.util.addTrailingComment(target, comment);
+        }
+        return true;
+    }
+    if (!isTag && outermostNode) {
+        // The expression prints {{ }} itself
+        addDelimiterComment(outermostNode, "trimRight", comment);
+        return true;
+    }
+    const tagEnd = findTagEnd(spanningNodes, block, getTagName(text, block));
+    if (tagEnd) {
+        addDelimiterComment(tagEnd.node, tagEnd.flag, comment);
+    } else {
+        prettier.util.addTrailingComment(ast, comment);
+    }
+    return true;
+};
+
+/**
+ * Prettier prints a space in front of a comment that follows an
+ * expression on the same line. Printed before the closing delimiter,
+ * it would add to the space in front of the delimiter.
+ */
+const printInlineComment = (commentPath, options) => {
+    const comment = commentPath.getValue();
+    const isSameLine = !prettier.util.hasNewline(
+        options.originalText,
+        locStart(comment),
+        { backwards: true },
+    );
+    return comment.trailing && isSameLine
+        ? concat([trim, " ", comment.value])
+        : comment.value;
+};
+
+const getTrimFlag = (flag) =>
+    flag instanceof CommentedDelimiter ? flag.trim : flag;
+
+/**
+ * The comments that go with a closing delimiter. Like the comments
+ * Prettier prints after an expression, they wait for the line break
+ * in front of the delimiter.
+ */
+const printDelimiterComments = (flag) => {
+    if (!(flag instanceof CommentedDelimiter)) {
+        return "";
+    }
+    return concat([
+        ...flag.comments.map((comment, index) => {
+            comment.printed = true;
+            return lineSuffix(
+                index === 0
+                    ? concat([trim, " ", comment.value])
+                    : concat([hardline, comment.value]),
+            );
+        }),
+        breakParent,
+    ]);
+};
+
+module.exports = {
+    enableInlineComments,
+    getInlineComments,
+    isInlineComment,
+    canAttachInlineComment,
+    handleInlineComment,
+    printInlineComment,
+    getTrimFlag,
+    printDelimiterComments,
+};
@@ -0,0 +1,304 @@
+/**
+ * Before melody-parser sees a template, several preprocessing passes
+ * replace parts of it with placeholders. The offsets melody-parser
+ * reports are therefore offsets into the preprocessed text. A source
+ * tracker records every replacement, so that node locations can be
+ * mapped back to the original source afterwards.
+ */
+
+const createSourceTracker = (text) => ({
+    text,
+    passes: [],
+});
+
+const getReplaceOffset = (args) =>
+    args.find((arg, index) => index > 0 && typeof arg === "number");
+
+/**
+ * Shrinks an edit to the part that actually changed, so that
+ * positions in an unchanged prefix or suffix keep mapping 1:1.
+ */
+const narrowEdit = (start, original, replacement) => {
+    let prefix = 0;
+    const maxPrefix = Math.min(original.length, replacement.length);
+    while (prefix < maxPrefix && original[prefix] === replacement[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (
+        suffix < maxSuffix &&
+        original[original.length - 1 - suffix] ===
+            replacement[replacement.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+    return {
+        srcStart: start + prefix,
+        srcEnd: start + original.length - suffix,
+        length: replacement.length - prefix - suffix,
+    };
+};
+
+/**
+ * Records a finished pass. Edits are expected in source order and
+ * must not overlap (which is what String.prototype.replace produces).
+ */
+const addPass = (tracker, edits) => {
+    let delta = 0;
+    const pass = edits.map((edit) => {
+        const genStart = edit.srcStart + delta;
+        const genEnd = genStart + edit.length;
+        delta += edit.length - (edit.srcEnd - edit.srcStart);
+        return {
+            srcStart: edit.srcStart,
+            srcEnd: edit.srcEnd,
+            genStart,
+            genEnd,
+        };
+    });
+    if (pass.length > 0) {
+        tracker.passes.push(pass);
+    }
+};
+
+/**
+ * Works like text.replace(pattern, replacer) on the tracked text,
+ * but remembers where replacements happened.
+ *
+ * @param {object} tracker A source tracker
+ * @param {RegExp} pattern The pattern to replace
+ * @param {function} replacer Same signature as for String.prototype.replace
+ */
+const replaceTracked = (tracker, pattern, replacer) => {
+    const edits = [];
+    const result = tracker.text.replace(pattern, (...args) => {
+        const match = args[0];
+        const replacement = replacer(...args);
+        if (replacement !== match) {
+            edits.push(narrowEdit(getReplaceOffset(args), match, replacement));
+        }
+        return replacement;
+    });
+    addPass(tracker, edits);
+    tracker.text = result;
+    return result;
+};
+
+/**
+ * Replaces ranges of the tracked text in one pass and remembers where
+ * replacements happened.
+ *
+ * @param {object} tracker A source tracker
+ * @param {array} edits Objects with start, end and replacement, sorted
+ *                      by start and not overlapping
+ */
+const replaceRanges = (tracker, edits) => {
+    const source = tracker.text;
+    const recordedEdits = [];
+    let result = "";
+    let position = 0;
+    edits.forEach(({ start, end, replacement }) => {
+        const original = source.slice(start, end);
+        result += source.slice(position, start) + replacement;
+        if (replacement !== original) {
+            recordedEdits.push(narrowEdit(start, original, replacement));
+        }
+        position = end;
+    });
+    result += source.slice(position);
+    addPass(tracker, recordedEdits);
+    tracker.text = result;
+    return result;
+};
+
+const findLastEditBefore = (pass, index) => {
+    let low = 0;
+    let high = pass.length - 1;
+    let result = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (pass[middle].genStart <= index) {
+            result = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return result;
+};
+
+const mapThroughPass = (pass, index, isEnd) => {
+    const editIndex = findLastEditBefore(pass, index);
+    if (editIndex < 0) {
+        return index;
+    }
+    const edit = pass[editIndex];
+    if (index >= edit.genEnd) {
+        return edit.srcEnd + (index - edit.genEnd);
+    }
+    if (index === edit.genStart) {
+        return edit.srcStart;
+    }
+    // Inside a placeholder: a start position belongs to the beginning
+    // of the replaced text, an end position to its end
+    return isEnd ? edit.srcEnd : edit.srcStart;
+};
+
+/**
+ * Maps an offset in the preprocessed text back to the original source
+ *
+ * @param {object} tracker A source tracker
+ * @param {number} index Offset into the preprocessed text
+ * @param {boolean} isEnd Whether the offset marks the end of a range
+ */
+const toOriginalIndex = (tracker, index, isEnd = false) => {
+    let result = index;
+    for (let i = tracker.passes.length - 1; i >= 0; i--) {
+        result = mapThroughPass(tracker.passes[i], result, isEnd);
+    }
+    return result;
+};
+
+const getLineStarts = (text) => {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\n") {
+            lineStarts.push(i + 1);
+        }
+    }
+    return lineStarts;
+};
+
+const getPosition = (lineStarts, index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= index) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    // Lines are 1-based, columns 0-based, like in melody-parser
+    return { line: low + 1, column: index - lineStarts[low], index };
+};
+
+const hasIndex = (position) => position && typeof position.index === "number";
+
+const isNodeLike = (value) =>
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.type === "string" &&
+    typeof value.loc === "object";
+
+/**
+ * Returns the keys of all properties holding child nodes. This is
+ * more reliable than the visitorKeys of melody-types, which are
+ * incomplete for some node types (e.g., EmbedStatement.parent).
+ */
+const getChildNodeKeys = (node) =>
+    Object.keys(node).filter((key) => {
+        if (key === "loc" || key === "parent") {
+            return false;
+        }
+        const value = node[key];
+        return Array.isArray(value)
+            ? value.some(isNodeLike)
+            : isNodeLike(value);
+    });
+
+const getChildNodes = (node) => {
+    const result = [];
+    getChildNodeKeys(node).forEach((key) => {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            result.push(...value.filter(isNodeLike));
+        } else {
+            result.push(value);
+        }
+    });
+    return result;
+};
+
+/**
+ * Rewrites the loc of every node in the AST so that it refers to the
+ * original source. Nodes without a location of their own (some
+ * melody-parser nodes are never given one) get the range spanned by
+ * their children, or keep their empty loc if no child has a location.
+ *
+ * @param {object} ast The root node returned by melody-parser
+ * @param {object} tracker The source tracker used during preprocessing
+ * @param {string} originalSource The unprocessed template
+ */
+const applyOriginalLocations = (ast, tracker, originalSource) => {
+    const lineStarts = getLineStarts(originalSource);
+    const visited = new Set();
+    const located = new Set();
+    const visit = (node) => {
+        if (visited.has(node)) {
+            return;
+        }
+        visited.add(node);
+        const children = getChildNodes(node);
+        children.forEach(visit);
+
+        const loc = node.loc;
+        let start = hasIndex(loc.start)
+            ? toOriginalIndex(tracker, loc.start.index)
+            : undefined;
+        let end = hasIndex(loc.end)
+            ? toOriginalIndex(tracker, loc.end.index, true)
+            : undefined;
+        children
+            .filter((child) => located.has(child))
+            .forEach((child) => {
+                const childStart = child.loc.start.index;
+                const childEnd = child.loc.end.index;
+                if (start === undefined || childStart < start) {
+                    start = childStart;
+                }
+                if (end === undefined || childEnd > end) {
+                    end = childEnd;
+                }
+            });
+        if (start === undefined && end === undefined) {
+            return;
+        }
+        if (start === undefined) {
+            start = end;
+        }
+        if (end === undefined || end < start) {
+            end = start;
+        }
+        node.loc = Object.assign({}, loc, {
+            start: getPosition(lineStarts, start),
+            end: getPosition(lineStarts, Math.min(end, originalSource.length)),
+        });
+        located.add(node);
+    };
+    visit(ast);
+    // The root always spans the whole document
+    ast.loc.start = getPosition(lineStarts, 0);
+    ast.loc.end = getPosition(lineStarts, originalSource.length);
+    return ast;
+};
+
+const locStart = (node) =>
+    node && node.loc && hasIndex(node.loc.start) ? node.loc.start.index : 0;
+
+const locEnd = (node) =>
+    node && node.loc && hasIndex(node.loc.end) ? node.loc.end.index : 0;
+
+module.exports = {
+    createSourceTracker,
+    replaceTracked,
+    replaceRanges,
+    toOriginalIndex,
+    applyOriginalLocations,
+    getChildNodeKeys,
+    getChildNodes,
+    locStart,
+    locEnd,
+};
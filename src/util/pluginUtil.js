@@ -45,11 +45,22 @@ const tryLoadPlugin = (pluginPath) => {
     }
 };
 
+// Plugins are loaded once per process and shared between parser and
+// printer. Failures are cached as well, so they are reported only once.
+const loadedPlugins = new Map();
+
+const loadPluginOnce = (pluginPath) => {
+    if (!loadedPlugins.has(pluginPath)) {
+        loadedPlugins.set(pluginPath, tryLoadPlugin(pluginPath));
+    }
+    return loadedPlugins.get(pluginPath);
+};
+
 const loadPlugins = (pluginPaths) => {
     const result = [];
     if (pluginPaths && Array.isArray(pluginPaths)) {
         pluginPaths.forEach((pluginPath) => {
-            const loadedPlugin = tryLoadPlugin(pluginPath);
+            const loadedPlugin = loadPluginOnce(pluginPath);
             if (loadedPlugin) {
                 result.push(loadedPlugin);
             }
@@ -60,9 +71,9 @@ const loadPlugins = (pluginPaths) => {
 
 const getAdditionalMelodyExtensions = (pluginPaths) => {
     let result = [];
-    const loadedPlugins = loadPlugins(pluginPaths);
-    loadedPlugins.forEach((loadedPlugin) => {
-        result = result.concat(loadedPlugin.melodyExtensions);
+    const plugins = loadPlugins(pluginPaths);
+    plugins.forEach((plugin) => {
+        result = result.concat(plugin.melodyExtensions);
     });
     // Filter out potential "undefined" values
     return result.filter((elem) => !!elem);
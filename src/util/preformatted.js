@@ -0,0 +1,122 @@
+const { Node } = require("melody-types");
+const { PREFORMATTED } = require("./publicSymbols.js");
+const { getChildNodes } = require("./locationUtil.js");
+
+// Elements in which all whitespace is rendered
+const PREFORMATTED_ELEMENTS = ["pre", "textarea", "listing", "plaintext"];
+
+const getClassNames = (element) => {
+    const classAttribute = (element.attributes || []).find(
+        (attribute) =>
+            Node.isAttribute(attribute) &&
+            attribute.name &&
+            attribute.name.name === "class",
+    );
+    if (
+        !classAttribute ||
+        !classAttribute.value ||
+        !Node.isStringLiteral(classAttribute.value)
+    ) {
+        return [];
+    }
+    return classAttribute.value.value.split(/\s+/);
+};
+
+/**
+ * Entries of twigPreformattedElements are element names ("code") or
+ * class names (".whitespace-pre")
+ */
+const isPreformattedElement = (node, preformattedElements = []) => {
+    if (!Node.isElement(node)) {
+        return false;
+    }
+    const entries = PREFORMATTED_ELEMENTS.concat(preformattedElements);
+    if (entries.indexOf(node.name) >= 0) {
+        return true;
+    }
+    return getClassNames(node).some(
+        (className) => entries.indexOf("." + className) >= 0,
+    );
+};
+
+// Keys of doc commands that hold docs
+const DOC_KEYS = [
+    "contents",
+    "parts",
+    "breakContents",
+    "flatContents",
+    "expandedStates",
+];
+
+/**
+ * Line breaks added by the printers of preformatted nodes would be
+ * rendered, so that Twig tags stay where they were written. Only the
+ * lines of the text itself (literal lines) and lines within {{ }}
+ * and {% %} are kept. Literal lines break without the break-parent
+ * of the hard lines that are removed.
+ */
+const removeAddedLines = (doc) => {
+    let delimiterDepth = 0;
+    const visit = (part) => {
+        if (typeof part === "string") {
+            if (/^\{[{%]/.test(part)) {
+                delimiterDepth++;
+            }
+            if (/[}%]\}$/.test(part)) {
+                delimiterDepth--;
+            }
+            return part;
+        }
+        if (Array.isArray(part)) {
+            return part.map(visit);
+        }
+        if (part.type === "line") {
+            if (part.literal || delimiterDepth > 0) {
+                return part;
+            }
+            return part.hard || part.soft ? "" : " ";
+        }
+        if (part.type === "break-parent") {
+            return delimiterDepth > 0 ? part : "";
+        }
+        const result = { ...part };
+        DOC_KEYS.forEach((key) => {
+            if (part[key] !== undefined) {
+                result[key] = visit(part[key]);
+            }
+        });
+        return result;
+    };
+    return visit(doc);
+};
+
+const markPreformatted = (node) => {
+    node[PREFORMATTED] = true;
+    getChildNodes(node).forEach(markPreformatted);
+};
+
+/**
+ * Marks whitespace-significant elements and all nodes within them,
+ * so that their text is printed as it is written
+ *
+ * @param {object} ast The root node returned by melody-parser
+ * @param {string[]} preformattedElements The twigPreformattedElements option
+ */
+const annotatePreformattedElements = (ast, preformattedElements) => {
+    const visit = (node) => {
+        if (isPreformattedElement(node, preformattedElements)) {
+            markPreformatted(node);
+            return;
+        }
+        getChildNodes(node).forEach(visit);
+    };
+    visit(ast);
+};
+
+module.exports = {
+    PREFORMATTED_ELEMENTS,
+    isPreformattedElement,
+    markPreformatted,
+    annotatePreformattedElements,
+    removeAddedLines,
+};
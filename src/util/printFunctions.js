@@ -1,13 +1,14 @@
 const prettier = require("prettier");
 const { line, indent, concat, group } = prettier.doc.builders;
 const { Node } = require("melody-types");
+const { printTagStart, printTagEnd } = require("./publicFunctions.js");
 
 const noSpaceBeforeToken = {
     ",": true,
 };
 
 const printSingleTwigTag = (node, path, print) => {
-    const opener = node.trimLeft ? "{%-" : "{%";
+    const opener = printTagStart(node.trimLeft);
     const parts = [opener, " ", node.tagName];
     const printedParts = path.map(print, "parts");
     if (printedParts.length > 0) {
@@ -24,7 +25,7 @@ const printSingleTwigTag = (node, path, print) => {
     if (node.parts.length > 1) {
         parts.push(indent(concat(indentedParts)));
     }
-    const closing = node.trimRight ? "-%}" : "%}";
+    const closing = printTagEnd(node.trimRight);
     parts.push(line, closing);
     return group(concat(parts));
 };
@@ -1,46 +1,26 @@
 const { EXPRESSION_NEEDED, INSIDE_OF_STRING } = require("./publicSymbols.js");
 const prettier = require("prettier");
-const { line, indent, concat, fill, group, hardline } = prettier.doc.builders;
+const { line, indent, concat, fill, group, hardline, lineSuffixBoundary } =
+    prettier.doc.builders;
+const { removeLines, willBreak, findInDoc } = prettier.doc.utils;
 const { Node } = require("melody-types");
 
 const {
     PRESERVE_LEADING_WHITESPACE,
     PRESERVE_TRAILING_WHITESPACE,
     NEWLINES_ONLY,
+    ORIGINAL_SOURCE,
+    PREFORMATTED,
+    PROSE_WRAP,
+    VUE_ALPINE_REPLACEMENTS,
 } = require("./publicSymbols.js");
-
-const INLINE_HTML_ELEMENTS = [
-    "a",
-    "abbr",
-    "acronym",
-    "b",
-    "bdo",
-    "big",
-    "br",
-    "button",
-    "cite",
-    "code",
-    "dd",
-    "dfn",
-    "em",
-    "i",
-    "img",
-    "kbd",
-    "label",
-    "li",
-    "mark",
-    "q",
-    "s",
-    "samp",
-    "strong",
-    "sup",
-    "sub",
-    "small",
-    "span",
-    "time",
-    "tt",
-    "var",
-];
+const {
+    getElementDisplay,
+    isBlockLikeDisplay,
+} = require("./elementDisplay.js");
+const { getTrimFlag, printDelimiterComments } = require("./inlineComments.js");
+const { markPreformatted, removeAddedLines } = require("./preformatted.js");
+const { locStart, locEnd, getChildNodes } = require("./locationUtil.js");
 
 /**
  * Node types around which we avoid an extra line break.
@@ -171,6 +151,22 @@ const isRootNode = (path) => {
     return findParentNode(path) === null;
 };
 
+/**
+ * The unprocessed source of the document the path belongs to
+ */
+const getOriginalSource = (path) => path.root[ORIGINAL_SOURCE] || "";
+
+const EMPTY_REPLACEMENTS = new Map();
+
+/**
+ * The placeholders inserted by the parser for the document the
+ * path belongs to, mapped to the text they replace
+ */
+const getVueAlpineReplacements = (path) =>
+    path.root[VUE_ALPINE_REPLACEMENTS] || EMPTY_REPLACEMENTS;
+
+const getProseWrap = (path) => path.root[PROSE_WRAP] || "always";
+
 const testCurrentAndParentNodes = (path, predicate) =>
     testCurrentNode(path, predicate) || someParentNode(path, predicate);
 
@@ -225,6 +221,27 @@ const shouldExpressionsBeWrapped = (path) => {
     return result;
 };
 
+/**
+ * The whitespace control of a delimiter: "" (none), "-" (dash)
+ * or "~" (tilde), for the trim flags of a node
+ */
+const getWhitespaceControl = (trim) => (trim === "~" ? "~" : trim ? "-" : "");
+
+const printTagStart = (trim) => "{%" + getWhitespaceControl(trim);
+// The boundary keeps the "# comments" of a tag or {{ }} statement,
+// which Prettier prints as line suffixes, in front of the delimiter
+const printTagEnd = (trim) =>
+    concat([
+        printDelimiterComments(trim),
+        lineSuffixBoundary,
+        getWhitespaceControl(getTrimFlag(trim)) + "%}",
+    ]);
+const printExpressionStart = (trim) => "{{" + getWhitespaceControl(trim);
+const printExpressionEnd = (trim) =>
+    concat([lineSuffixBoundary, getWhitespaceControl(trim) + "}}"]);
+const printCommentStart = (trim) => "{#" + getWhitespaceControl(trim);
+const printCommentEnd = (trim) => getWhitespaceControl(trim) + "#}";
+
 const wrapExpressionIfNeeded = (path, fragments, node = {}) => {
     const wrapType = shouldExpressionsBeWrapped(path);
     if (wrapType === EXPRESSION_NEEDED) {
@@ -242,10 +259,12 @@ const wrapExpressionIfNeeded = (path, fragments, node = {}) => {
  *                  except for concatenation and grouping
  */
 const wrapInEnvironment = (parts, trimLeft = false, trimRight = false) => {
-    const leftBraces = trimLeft ? "{{-" : "{{";
-    const rightBraces = trimRight ? "-}}" : "}}";
-    parts.unshift(leftBraces, line);
-    parts.push(line, rightBraces);
+    parts.unshift(printExpressionStart(trimLeft), line);
+    parts.push(
+        printDelimiterComments(trimRight),
+        line,
+        printExpressionEnd(getTrimFlag(trimRight)),
+    );
 };
 
 /**
@@ -280,20 +299,42 @@ const unifyWhitespace = (s, replacement = " ") =>
         .filter((s) => !isWhitespaceOnly(s))
         .join(replacement);
 
-const normalizeWhitespace = (whitespace) => {
+/**
+ * The separator for whitespace within a paragraph, following the
+ * twigProseWrap option:
+ * - "always": A line that breaks when the text does not fit
+ * - "never": A space
+ * - "preserve": A newline where there was one, a space otherwise
+ */
+const getWordSeparator = (whitespace, proseWrap = "always") => {
+    if (proseWrap === "never") {
+        return " ";
+    }
+    if (proseWrap === "preserve") {
+        return countNewlines(whitespace) > 0 ? hardline : " ";
+    }
+    return line;
+};
+
+// Whitespace between text and other inline items. Unless paragraphs
+// are unwrapped, a newline is kept.
+const normalizeWhitespace = (whitespace, proseWrap) => {
     const numNewlines = countNewlines(whitespace);
-    if (numNewlines > 0) {
-        // Normalize to one/two newline(s)
-        return numNewlines > 1 ? [hardline, hardline] : [hardline];
+    if (numNewlines > 1) {
+        // Normalize to two newlines
+        return [concat([hardline, hardline])];
+    }
+    if (numNewlines === 1 && proseWrap !== "never") {
+        return [hardline];
     }
-    // Normalize to one single space
-    return [line];
+    return [getWordSeparator(whitespace, proseWrap)];
 };
 
 const createTextGroups = (
     s,
     preserveLeadingWhitespace,
     preserveTrailingWhitespace,
+    proseWrap = "always",
 ) => {
     const parts = splitByWhitespace(s);
     const groups = [];
@@ -312,11 +353,11 @@ const createTextGroups = (
                     (isFirst && preserveLeadingWhitespace) ||
                     (isLast && preserveTrailingWhitespace)
                 ) {
-                    currentGroup.push(...normalizeWhitespace(curr));
+                    currentGroup.push(...normalizeWhitespace(curr, proseWrap));
                 } else if (!isFirst && !isLast) {
                     const numNewlines = countNewlines(curr);
                     if (numNewlines <= 1) {
-                        currentGroup.push(line);
+                        currentGroup.push(getWordSeparator(curr, proseWrap));
                     } else {
                         groups.push(currentGroup);
                         currentGroup = [];
@@ -380,6 +421,10 @@ const setDeepProperty = (obj, value, ...properties) => {
 };
 
 const printChildBlock = (node, path, print, ...childPath) => {
+    // Within <pre>, the whitespace of the children is all there is
+    if (node[PREFORMATTED]) {
+        return concat(path.map(print, ...childPath));
+    }
     const originalChildren = getDeepProperty(node, ...childPath);
     setDeepProperty(
         node,
@@ -416,13 +461,13 @@ const stripTwigCommentChars = (s) => {
     if (result.startsWith("{#")) {
         result = result.slice(2);
     }
-    if (result.startsWith("-")) {
+    if (result.startsWith("-") || result.startsWith("~")) {
         result = result.slice(1);
     }
     if (result.endsWith("#}")) {
         result = result.slice(0, -2);
     }
-    if (result.endsWith("-")) {
+    if (result.endsWith("-") || result.endsWith("~")) {
         result = result.slice(0, -1);
     }
     return result;
@@ -435,9 +480,13 @@ const normalizeHtmlComment = (s) => {
 
 const normalizeTwigComment = (s, trimLeft, trimRight) => {
     const commentText = stripTwigCommentChars(s);
-    const open = trimLeft ? "{#-" : "{#";
-    const close = trimRight ? "-#}" : "#}";
-    return open + " " + unifyWhitespace(commentText) + " " + close;
+    return (
+        printCommentStart(trimLeft) +
+        " " +
+        unifyWhitespace(commentText) +
+        " " +
+        printCommentEnd(trimRight)
+    );
 };
 
 const isHtmlCommentEqualTo = (substr) => (node) => {
@@ -468,7 +517,7 @@ const isInlineTextStatement = (node) => {
 
 const isInlineElement = (node) => {
     const isInlineHtmlElement =
-        Node.isElement(node) && INLINE_HTML_ELEMENTS.indexOf(node.name) >= 0;
+        Node.isElement(node) && !isBlockLikeDisplay(getElementDisplay(node));
 
     return (
         isInlineHtmlElement ||
@@ -477,14 +526,23 @@ const isInlineElement = (node) => {
     );
 };
 
+const isTwigTag = (node) =>
+    node.trimLeft !== undefined &&
+    !Node.isExpression(node) &&
+    !Node.isPrintExpressionStatement(node);
+
 const isCommentNode = (node) =>
     Node.isTwigComment(node) || Node.isHtmlComment(node);
 
-const createInlineMap = (nodes) => nodes.map((node) => isInlineElement(node));
-
-const textStatementsOnlyNewlines = (nodes) => {
-    nodes.forEach((node) => {
-        if (Node.isPrintTextStatement(node)) {
+const textStatementsOnlyNewlines = (inlineMap, nodes) => {
+    nodes.forEach((node, index) => {
+        // Whitespace between inline items is part of the text flow
+        const isBetweenInlineItems =
+            isWhitespaceNode(node) &&
+            index > 0 &&
+            inlineMap[index - 1] &&
+            inlineMap[index + 1];
+        if (Node.isPrintTextStatement(node) && !isBetweenInlineItems) {
             node[NEWLINES_ONLY] = true;
         }
     });
@@ -496,29 +554,211 @@ const addPreserveWhitespaceInfo = (inlineMap, nodes) => {
             index > 0 && isCommentNode(nodes[index - 1]);
         const followingNodeIsComment =
             index < nodes.length - 1 && isCommentNode(nodes[index + 1]);
+        // Tags may output inline content, so whitespace next to
+        // them is kept
+        const previousNodeIsTag = index > 0 && isTwigTag(nodes[index - 1]);
+        const followingNodeIsTag =
+            index < nodes.length - 1 && isTwigTag(nodes[index + 1]);
         if (Node.isPrintTextStatement(node)) {
             const hasPreviousInlineElement = index > 0 && inlineMap[index - 1];
-            if (hasPreviousInlineElement || previousNodeIsComment) {
+            if (
+                hasPreviousInlineElement ||
+                previousNodeIsComment ||
+                previousNodeIsTag
+            ) {
                 node[PRESERVE_LEADING_WHITESPACE] = true;
             }
             const hasFollowingInlineElement =
                 index < inlineMap.length - 1 && inlineMap[index + 1];
-            if (hasFollowingInlineElement || followingNodeIsComment) {
+            if (
+                hasFollowingInlineElement ||
+                followingNodeIsComment ||
+                followingNodeIsTag
+            ) {
                 node[PRESERVE_TRAILING_WHITESPACE] = true;
             }
         }
     });
 };
 
+const isWordSeparator = (doc) =>
+    Array.isArray(doc)
+        ? doc.length > 0 &&
+          doc.every(
+              (part) => isWordSeparator(part) || part.type === "break-parent",
+          )
+        : !!doc && doc.type === "line";
+
+const countHardlines = (doc) =>
+    Array.isArray(doc)
+        ? doc.reduce((sum, part) => sum + countHardlines(part), 0)
+        : doc.type === "line" && doc.hard
+          ? 1
+          : 0;
+
+// Printed text is a fill() of words, or several of them for
+// paragraphs, joined by blank lines
+const getInlineParts = (doc) => {
+    if (doc && doc.type === "fill") {
+        return doc.parts;
+    }
+    if (
+        Array.isArray(doc) &&
+        doc.some((part) => part && part.type === "fill")
+    ) {
+        return [].concat(...doc.map(getInlineParts));
+    }
+    return [doc];
+};
+
+/**
+ * Unless text is wrapped, {{ }} statements and inline elements do
+ * not break either, as long as they have no line breaks of their own
+ * (like # comments)
+ */
+const hasLineSuffix = (doc) =>
+    findInDoc(
+        doc,
+        (part) => (part.type === "line-suffix" ? true : undefined),
+        false,
+    );
+
+const printUnbreakableWord = (doc) =>
+    willBreak(doc) || hasLineSuffix(doc) ? doc : removeLines(doc);
+
+/**
+ * Fills the words of text, inline elements and {{ }} statements
+ * into lines. Items that touch each other without whitespace in
+ * between are one word, so that line breaks only replace whitespace.
+ * fill() expects contents and separators to alternate:
+ * Hello {{ name }}!  =>  ["Hello", line, ["{{ name }}", "!"]]
+ */
+const fillInlineItems = (items) => {
+    const parts = [];
+    items.forEach((item) => {
+        getInlineParts(item).forEach((part) => {
+            const lastIndex = parts.length - 1;
+            const endsWithContent = parts.length % 2 === 1;
+            if (!isWordSeparator(part)) {
+                if (endsWithContent) {
+                    parts[lastIndex] = concat([parts[lastIndex], part]);
+                } else {
+                    parts.push(part);
+                }
+            } else if (parts.length === 0) {
+                parts.push("", part);
+            } else if (endsWithContent) {
+                parts.push(part);
+            } else if (
+                countHardlines(part) > countHardlines(parts[lastIndex])
+            ) {
+                parts[lastIndex] = part;
+            }
+        });
+    });
+    if (parts.length % 2 === 0 && parts.length > 0) {
+        parts.push("");
+    }
+    return fill(parts);
+};
+
+// The whitespace in the source between an inline item and a tag
+const getWhitespaceTowards = (node, pattern) =>
+    Node.isPrintTextStatement(node) ? node.value.value.match(pattern)[0] : "";
+
+/**
+ * Whether each of the nodes is an inline item. Tags within text,
+ * like {% if x %}bold{% endif %}, are words of the text if they touch
+ * an inline item without whitespace in between, or if they are
+ * written within a line next to one. They are printed as they are
+ * written, so that no whitespace is added or removed around or within
+ * them, while their expressions are formatted.
+ *
+ * @param {object[]} nodes Children without surrounding whitespace
+ * @param {string} originalSource The source of the template
+ * @returns {boolean[]}
+ */
+const createInlineMap = (nodes, originalSource) => {
+    const inlineMap = nodes.map((node) => isInlineElement(node));
+    nodes.forEach((node, index) => {
+        if (!isTwigTag(node) || isCommentNode(node)) {
+            return;
+        }
+        const gaps = [];
+        if (inlineMap[index - 1]) {
+            gaps.push(getWhitespaceTowards(nodes[index - 1], /\s*$/));
+        }
+        if (inlineMap[index + 1]) {
+            gaps.push(getWhitespaceTowards(nodes[index + 1], /^\s*/));
+        }
+        const isWrittenInOneLine = !/\n/.test(
+            originalSource.slice(locStart(node), locEnd(node)),
+        );
+        inlineMap[index] =
+            gaps.some((gap) => gap === "") ||
+            (isWrittenInOneLine && gaps.some((gap) => !/\n/.test(gap)));
+    });
+    return inlineMap;
+};
+
+// A ~ that is followed or preceded by content within the same line
+const TILDE_WITHIN_LINE = /~%\}[ \t]*\S|\S[ \t]*\{%~/;
+
+/**
+ * The source of a tag, with the tags and output nested within it
+ * replaced by a single character, so that only its own delimiters
+ * remain
+ */
+const getOwnTagSource = (node, originalSource) => {
+    const nested = [];
+    const collect = (child) => {
+        if (isTwigTag(child) || Node.isPrintExpressionStatement(child)) {
+            nested.push(child);
+        } else {
+            getChildNodes(child).forEach(collect);
+        }
+    };
+    getChildNodes(node).forEach(collect);
+    let source = "";
+    let position = locStart(node);
+    nested
+        .sort((a, b) => locStart(a) - locStart(b))
+        .forEach((child) => {
+            source += originalSource.slice(position, locStart(child)) + "x";
+            position = Math.max(position, locEnd(child));
+        });
+    return source + originalSource.slice(position, locEnd(node));
+};
+
+/**
+ * Whether a tag has to be printed as it is written, because a ~
+ * within it touches content in the same line, as in
+ * {%~ for i in items ~%}{{ i }}{%~ endfor ~%}. Unlike -, ~ does not
+ * remove line breaks, so breaking the content onto lines of its own
+ * would change the output.
+ */
+const hasTildeWithinLine = (node, originalSource) =>
+    TILDE_WITHIN_LINE.test(getOwnTagSource(node, originalSource));
+
 const indentWithHardline = (contents) => indent(concat([hardline, contents]));
 
 const printChildGroups = (node, path, print, ...childPath) => {
     // For the preprocessed children, get a map showing which elements can
     // be printed inline
     const children = getDeepProperty(node, ...childPath);
-    const inlineMap = createInlineMap(children);
+    const originalSource = getOriginalSource(path);
+    const inlineMap = createInlineMap(children, originalSource);
+    const proseWrap = getProseWrap(path);
+    children.forEach((child, index) => {
+        if (
+            isTwigTag(child) &&
+            (inlineMap[index] || hasTildeWithinLine(child, originalSource))
+        ) {
+            markPreformatted(child);
+        }
+    });
     addPreserveWhitespaceInfo(inlineMap, children);
-    textStatementsOnlyNewlines(children);
+    textStatementsOnlyNewlines(inlineMap, children);
     const printedChildren = path.map(print, ...childPath);
     // Go over the children, while carrying along a group to be filled
     // - If the element is inline, add it to the group
@@ -531,21 +771,34 @@ const printChildGroups = (node, path, print, ...childPath) => {
             // Maybe a PrintTextStatement should not be
             // considered "inline" if it contains more than
             // one \n character
-            inlineGroup.push(child);
+            if (isTwigTag(children[index])) {
+                inlineGroup.push(printUnbreakableWord(removeAddedLines(child)));
+            } else {
+                inlineGroup.push(
+                    proseWrap !== "always" &&
+                        !Node.isPrintTextStatement(children[index])
+                        ? printUnbreakableWord(child)
+                        : child,
+                );
+            }
         } else {
             if (inlineGroup.length > 0) {
-                finishedGroups.push(fill(inlineGroup));
+                finishedGroups.push(fillInlineItems(inlineGroup));
                 inlineGroup = [];
             }
             // Ensure line break between two block elements
             if (finishedGroups.length > 0 && !inlineMap[index - 1]) {
                 addNewlineIfNotEmpty(finishedGroups);
             }
-            finishedGroups.push(child);
+            finishedGroups.push(
+                isTwigTag(children[index]) && children[index][PREFORMATTED]
+                    ? removeAddedLines(child)
+                    : child,
+            );
         }
     });
     if (inlineGroup.length > 0) {
-        finishedGroups.push(fill(inlineGroup));
+        finishedGroups.push(fillInlineItems(inlineGroup));
     }
     return finishedGroups;
 };
@@ -555,8 +808,18 @@ module.exports = {
     wrapExpressionIfNeeded,
     wrapInStringInterpolation,
     wrapInEnvironment,
+    getWhitespaceControl,
+    printTagStart,
+    printTagEnd,
+    printExpressionStart,
+    printExpressionEnd,
+    printCommentStart,
+    printCommentEnd,
     findParentNode,
     isRootNode,
+    getOriginalSource,
+    getVueAlpineReplacements,
+    getProseWrap,
     isMelodyNode,
     someParentNode,
     walkParents,
@@ -586,6 +849,8 @@ module.exports = {
     getDeepProperty,
     setDeepProperty,
     isInlineElement,
+    isTwigTag,
+    createInlineMap,
     printChildBlock,
     printChildGroups,
     indentWithHardline,
@@ -80,6 +80,36 @@ const IS_ROOT_LOGICAL_EXPRESSION = Symbol("IS_ROOT_LOGICAL_EXPRESSION");
  */
 const INSIDE_ATTRIBUTE_VALUE = Symbol("INSIDE_ATTRIBUTE_VALUE");
 
+/**
+ * Set by the parser on the AST root. Holds the unprocessed
+ * template source.
+ */
+const ORIGINAL_SOURCE = Symbol("ORIGINAL_SOURCE");
+
+/**
+ * Set by the parser on the AST root. Maps the placeholders
+ * inserted during preprocessing to the original text.
+ */
+const VUE_ALPINE_REPLACEMENTS = Symbol("VUE_ALPINE_REPLACEMENTS");
+
+/**
+ * Set by the parser on the AST root. Holds the twigProseWrap
+ * option for the printing of inline content.
+ */
+const PROSE_WRAP = Symbol("PROSE_WRAP");
+
+/**
+ * Set by the parser on elements. Holds the CSS display that
+ * decides whether whitespace around the element is rendered.
+ */
+const ELEMENT_DISPLAY = Symbol("ELEMENT_DISPLAY");
+
+/**
+ * Set by the parser on whitespace-significant elements like <pre>
+ * and on all nodes within them. Their text is kept as it is.
+ */
+const PREFORMATTED = Symbol("PREFORMATTED");
+
 module.exports = {
     STRING_NEEDS_QUOTES,
     OVERRIDE_QUOTE_CHAR,
@@ -92,4 +122,9 @@ module.exports = {
     GROUP_TOP_LEVEL_LOGICAL,
     IS_ROOT_LOGICAL_EXPRESSION,
     INSIDE_ATTRIBUTE_VALUE,
+    ORIGINAL_SOURCE,
+    VUE_ALPINE_REPLACEMENTS,
+    PROSE_WRAP,
+    ELEMENT_DISPLAY,
+    PREFORMATTED,
 };
@@ -1,221 +1,395 @@
-const prettier = require("prettier");
+const { doc } = require("prettier");
+const { skipTwig, isTwigStart } = require("./templateScanner.js");
 
-/**
- * Checks if code contains Twig expressions that would make it invalid JavaScript
- * @param {string} code - The code to check
- * @returns {boolean} - True if code has complex Twig expressions
- */
-const hasComplexTwigExpressions = (code) => {
-    // Check for patterns that would break JavaScript syntax
-    const problematicPatterns = [
-        /=\s*\{%.*?%\}/g, // Assignment with Twig statements
-        /\{%.*?%\}\s*\{.*?\}/g, // Twig statements followed by objects/arrays
-        /\{\{.*?\}\}\s*\{.*?\}/g, // Twig expressions followed by objects/arrays
-        /\{%.*?%\}\s*\[.*?\]/g, // Twig statements followed by arrays
-        /\{\{.*?\}\}\s*\[.*?\]/g, // Twig expressions followed by arrays
-    ];
-
-    return problematicPatterns.some((pattern) => pattern.test(code));
-};
+const { hardline, join } = doc.builders;
+const { mapDoc } = doc.utils;
+
+const TOKEN = "__TWIG_JS_";
+const PLACEHOLDER =
+    /\/\/ __TWIG_JS_(\d+)__|\/\* __TWIG_JS_(\d+)__ \*\/|(["'])__TWIG_JS_(\d+)__\3|__TWIG_JS_(\d+)__/g;
+const MODULE_SOURCE_CONTEXT =
+    /(?:\b(?:from|import)\s*|\b(?:import|require)\s*\(\s*)$/;
+const TRAILING_PLACEHOLDER_COMMENT =
+    /(?:\/\/ __TWIG_JS_\d+__|\/\* __TWIG_JS_\d+__ \*\/)$/;
+const TWIG_TAG_NAME = /^\{%[-~]?\s*(\w+)/;
+const VERBATIM_TAGS = new Set(["verbatim", "raw"]);
 
 /**
- * Adds proper indentation to formatted code
- * @param {string} code - The formatted code
- * @param {string} indent - The indentation string to use
- * @returns {string} - Code with proper indentation
+ * Finds all Twig tags, expressions and comments in JavaScript code.
+ * Each of them is marked with whether it is part of the code itself,
+ * or of a template literal or comment. Quoted strings containing Twig
+ * are returned as a whole, so that they can be kept exactly as written.
  */
-const addIndentation = (code, indent = "        ") => {
-    if (!code.trim()) {
-        return code;
+const findTwigConstructs = (code) => {
+    const constructs = [];
+    // Brace depths at which template literal substitutions were opened
+    const templateStack = [];
+    let braceDepth = 0;
+    let state = "code";
+    let quote = null;
+    let literal = null;
+    let index = 0;
+    while (index < code.length) {
+        if (isTwigStart(code, index)) {
+            const end = skipTwig(code, index);
+            if (literal) {
+                literal.hasTwig = true;
+            } else {
+                constructs.push({
+                    start: index,
+                    end,
+                    inCode: state === "code",
+                    inSubstitution:
+                        state === "code" &&
+                        templateStack[templateStack.length - 1] === braceDepth,
+                });
+            }
+            index = end;
+            continue;
+        }
+        const char = code[index];
+        if (state === "code") {
+            if (char === '"' || char === "'" || char === "`") {
+                state = "string";
+                quote = char;
+                literal = quote === "`" ? null : { start: index };
+            } else if (code.startsWith("//", index)) {
+                state = "lineComment";
+            } else if (code.startsWith("/*", index)) {
+                state = "blockComment";
+                index++;
+            } else if (char === "{") {
+                braceDepth++;
+            } else if (char === "}") {
+                if (templateStack[templateStack.length - 1] === braceDepth) {
+                    templateStack.pop();
+                    state = "string";
+                    quote = "`";
+                } else {
+                    braceDepth--;
+                }
+            }
+            index++;
+        } else if (state === "string") {
+            if (char === "\\") {
+                index++;
+            } else if (char === quote || (char === "\n" && quote !== "`")) {
+                if (literal && literal.hasTwig) {
+                    constructs.push({
+                        start: literal.start,
+                        end: char === quote ? index + 1 : index,
+                        inCode: true,
+                        isString: true,
+                    });
+                }
+                state = "code";
+                literal = null;
+            } else if (quote === "`" && code.startsWith("${", index)) {
+                templateStack.push(braceDepth);
+                state = "code";
+                index++;
+            }
+            index++;
+        } else if (state === "lineComment") {
+            state = char === "\n" ? "code" : state;
+            index++;
+        } else if (code.startsWith("*/", index)) {
+            state = "code";
+            index += 2;
+        } else {
+            index++;
+        }
     }
+    return constructs;
+};
 
-    const lines = code.split("\n");
-    return lines
-        .map((line, index) => {
-            // Don't indent empty lines
-            if (!line.trim()) {
-                return line;
-            }
-            // Add indentation to all non-empty lines
-            return indent + line;
-        })
-        .join("\n");
+const getTagName = (code, construct) => {
+    const match = code
+        .slice(construct.start, construct.end)
+        .match(TWIG_TAG_NAME);
+    return match ? match[1] : null;
+};
+
+const isBlank = (code, start, end) => /^[ \t]*$/.test(code.slice(start, end));
+
+const startsLine = (code, position) =>
+    isBlank(code, code.lastIndexOf("\n", position - 1) + 1, position);
+
+const endsLine = (code, position) => {
+    const lineEnd = code.indexOf("\n", position);
+    return isBlank(code, position, lineEnd === -1 ? code.length : lineEnd);
 };
 
 /**
- * Formats JavaScript code using Prettier
- * @param {string} code - The JavaScript code to format
- * @param {object} options - Prettier options
- * @returns {string} - Formatted JavaScript code
+ * Returns the index of the construct closing the {% if %} block that
+ * starts with constructs[index], or -1 if the block is not closed
  */
-const formatJavaScript = (code, options = {}) => {
-    try {
-        // Skip formatting if the code has complex Twig expressions
-        if (hasComplexTwigExpressions(code)) {
-            return code.trim();
+const findEndif = (code, constructs, index) => {
+    let depth = 0;
+    for (let i = index; i < constructs.length; i++) {
+        const tagName = getTagName(code, constructs[i]);
+        if (tagName === "if") {
+            depth++;
+        } else if (tagName === "endif") {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
         }
-
-        const jsOptions = {
-            parser: "babel",
-            printWidth: options.printWidth || 80,
-            tabWidth: options.tabWidth || 2,
-            useTabs: options.useTabs || false,
-            semi: options.semi !== false,
-            singleQuote: options.singleQuote || false,
-            quoteProps: options.quoteProps || "as-needed",
-            trailingComma: options.trailingComma || "es5",
-            bracketSpacing: options.bracketSpacing !== false,
-            bracketSameLine: options.bracketSameLine || false,
-            arrowParens: options.arrowParens || "always",
-            // Don't add extra newlines at the end
-            endOfLine: "lf",
-        };
-
-        const formatted = prettier.format(code, jsOptions).trim();
-
-        // Return the formatted code without adding indentation
-        // The printer will handle indentation properly
-        return formatted;
-    } catch (error) {
-        // If formatting fails, return the original code
-        console.warn("Failed to format JavaScript:", error.message);
-        return code;
     }
+    return -1;
 };
 
 /**
- * Checks if code contains Twig expressions that would make it invalid CSS
- * @param {string} code - The code to check
- * @returns {boolean} - True if code has complex Twig expressions
+ * Splits Twig code spanning several lines into lines, removing the
+ * indentation of the line the Twig code starts on
  */
-const hasComplexTwigInCSS = (code) => {
-    // Check for Twig expressions in CSS that could break parsing
-    const twigInCSSPatterns = [
-        /\{\{[\s\S]*?\}\}/g, // {{ expressions }}
-        /\{%[\s\S]*?%\}/g, // {% statements %}
-        /\{#[\s\S]*?#\}/g, // {# comments #}
-    ];
-
-    return twigInCSSPatterns.some((pattern) => pattern.test(code));
+const getOriginalLines = (code, start, end) => {
+    const lineStart = code.lastIndexOf("\n", start - 1) + 1;
+    const indentation = code.slice(lineStart, start).match(/^[ \t]*/)[0];
+    return code
+        .slice(start, end)
+        .split("\n")
+        .map((line, index) =>
+            index > 0 && line.startsWith(indentation)
+                ? line.slice(indentation.length)
+                : line,
+        );
 };
 
 /**
- * Formats CSS code using Prettier
- * @param {string} code - The CSS code to format
- * @param {object} options - Prettier options
- * @returns {string} - Formatted CSS code
+ * Chooses the kind of placeholder for Twig code that is part of the
+ * JavaScript code itself. An identifier is valid wherever an object,
+ * an array or a number would be, but JSON and module specifiers
+ * only allow strings.
  */
-const formatCSS = (code, options = {}) => {
-    try {
-        // Skip formatting if the code has Twig expressions
-        if (hasComplexTwigInCSS(code)) {
-            return code.trim();
-        }
+const getValueKind = (code, construct, parser) =>
+    parser === "json" ||
+    MODULE_SOURCE_CONTEXT.test(code.slice(0, construct.start))
+        ? "string"
+        : "name";
 
-        const cssOptions = {
-            parser: "css",
-            printWidth: options.printWidth || 80,
-            tabWidth: options.tabWidth || 2,
-            useTabs: options.useTabs || false,
-            singleQuote: options.singleQuote || false,
-            // Don't add extra newlines at the end
-            endOfLine: "lf",
-        };
-
-        const formatted = prettier.format(code, cssOptions).trim();
-
-        // Return the formatted code without adding indentation
-        // The printer will handle indentation properly
-        return formatted;
-    } catch (error) {
-        // If formatting fails, return the original code
-        console.warn("Failed to format CSS:", error.message);
-        return code;
+/**
+ * Checks if a Twig tag takes the place of a statement, judging by the
+ * code before it, with earlier Twig code already replaced. Unlike an
+ * identifier, a comment does not become a statement of its own, so no
+ * semicolon is added after the tag.
+ */
+const isStatementPosition = (codeBefore) => {
+    let code = codeBefore.trimEnd();
+    while (TRAILING_PLACEHOLDER_COMMENT.test(code)) {
+        code = code.replace(TRAILING_PLACEHOLDER_COMMENT, "").trimEnd();
+    }
+    return code === "" || /(?:^|[^$])\{$|[};]$/.test(code);
+};
+
+const createPlaceholder = (kind, id) => {
+    const token = `${TOKEN}${id}__`;
+    switch (kind) {
+        case "line":
+            return `// ${token}`;
+        case "comment":
+            return `/* ${token} */`;
+        case "string":
+            return `"${token}"`;
+        default:
+            return token;
     }
 };
 
 /**
- * Protects Twig expressions within code by replacing them with placeholders
- * @param {string} code - The code containing Twig expressions
- * @returns {object} - Object with processedCode and replacements map
+ * Replaces Twig code within JavaScript (or JSON) with placeholders,
+ * so that the code can be formatted by a JavaScript parser:
+ * - Twig on lines of its own becomes a line comment, so that tags
+ *   wrapping whole lines of code keep their place
+ * - Quoted strings containing Twig become a string, so that they are
+ *   kept exactly as written
+ * - Twig inside template literals and comments becomes an
+ *   identifier-like token
+ * - Output expressions and {% if %} blocks within code become an
+ *   identifier or a string, depending on what is valid at their position
+ * - Twig comments and tags in place of a statement within code become
+ *   block comments, so that the code between tags is formatted too
+ *
+ * @param {string} code - The code containing Twig
+ * @param {string} parser - The Prettier parser the code is formatted with
+ * @returns {object|null} - Object with processedCode and replacements, or
+ *                          null if other Twig tags are used within code or
+ *                          the code contains verbatim blocks
  */
-const protectTwigExpressions = (code) => {
-    const replacements = new Map();
-    let counter = 0;
-    let processedCode = code;
-
-    // Protect Twig expressions: {{ ... }}, {% ... %}, {# ... #}
-    // Use string literals as placeholders to ensure valid JavaScript syntax
-    const twigPatterns = [
-        /\{%[\s\S]*?%\}/g, // {% statements %} - process first as they can be more complex
-        /\{\{[\s\S]*?\}\}/g, // {{ expressions }}
-        /\{#[\s\S]*?#\}/g, // {# comments #}
-    ];
-
-    twigPatterns.forEach((pattern) => {
-        processedCode = processedCode.replace(pattern, (match) => {
-            const placeholder = `"__TWIG_EXPR_${counter++}__"`;
-            replacements.set(placeholder, match);
-            return placeholder;
+const protectTwigExpressions = (code, parser) => {
+    const constructs = findTwigConstructs(code);
+    // The content of verbatim blocks must not be formatted
+    if (
+        constructs.some((construct) =>
+            VERBATIM_TAGS.has(getTagName(code, construct)),
+        )
+    ) {
+        return null;
+    }
+    const replacements = [];
+    let processedCode = "";
+    let position = 0;
+    const replace = (kind, start, end, inSubstitution = false) => {
+        const placeholder = createPlaceholder(kind, replacements.length);
+        replacements.push({
+            kind,
+            lines: getOriginalLines(code, start, end),
+            // Without the spaces, "${ {{ n }} }" would become "${{{ n }}}"
+            spaceBefore:
+                inSubstitution && /\$\{\s*$/.test(code.slice(0, start)),
+            spaceAfter: inSubstitution && /^\s*\}/.test(code.slice(end)),
         });
-    });
+        processedCode += code.slice(position, start) + placeholder;
+        position = end;
+    };
 
+    let index = 0;
+    while (index < constructs.length) {
+        const construct = constructs[index];
+        let last = index;
+        while (
+            last + 1 < constructs.length &&
+            constructs[last + 1].inCode &&
+            !constructs[last + 1].isString &&
+            isBlank(code, constructs[last].end, constructs[last + 1].start)
+        ) {
+            last++;
+        }
+        const opening = code.substr(construct.start, 2);
+        if (!construct.inCode) {
+            replace("name", construct.start, construct.end);
+        } else if (construct.isString) {
+            replace("string", construct.start, construct.end);
+        } else if (
+            startsLine(code, construct.start) &&
+            endsLine(code, constructs[last].end)
+        ) {
+            replace("line", construct.start, constructs[last].end);
+            index = last;
+        } else if (
+            opening === "{#" ||
+            (opening === "{%" &&
+                isStatementPosition(
+                    processedCode + code.slice(position, construct.start),
+                ))
+        ) {
+            replace("comment", construct.start, construct.end);
+        } else if (opening === "{{") {
+            replace(
+                getValueKind(code, construct, parser),
+                construct.start,
+                construct.end,
+                construct.inSubstitution,
+            );
+        } else if (getTagName(code, construct) === "if") {
+            const endif = findEndif(code, constructs, index);
+            if (endif === -1) {
+                return null;
+            }
+            replace(
+                getValueKind(code, construct, parser),
+                construct.start,
+                constructs[endif].end,
+                construct.inSubstitution,
+            );
+            index = endif;
+        } else {
+            return null;
+        }
+        index++;
+    }
+    processedCode += code.slice(position);
     return { processedCode, replacements };
 };
 
 /**
- * Restores Twig expressions from placeholders
- * @param {string} formattedCode - The formatted code with placeholders
- * @param {Map} replacements - Map of placeholders to original expressions
- * @returns {string} - Code with Twig expressions restored
+ * Restores the Twig code replaced by protectTwigExpressions in the doc
+ * printed for the processed code
+ *
+ * @param {object} formattedDoc - The doc printed for the processed code
+ * @param {array} replacements - The replacements returned by protectTwigExpressions
+ * @returns {object|null} - The doc with the Twig code restored, or null if
+ *                          a placeholder was lost while formatting
  */
-const restoreTwigExpressions = (formattedCode, replacements) => {
-    let restoredCode = formattedCode;
-
-    for (const [placeholder, originalExpr] of replacements) {
-        // Handle the comment-style placeholders
-        restoredCode = restoredCode.replace(
-            new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g"),
-            originalExpr,
-        );
-    }
-
-    return restoredCode;
+const restoreTwigExpressions = (formattedDoc, replacements) => {
+    const restored = new Set();
+    const restore = (match, lineId, commentId, quote, stringId, nameId) => {
+        const id = lineId || commentId || stringId || nameId;
+        const kind = lineId
+            ? "line"
+            : commentId
+              ? "comment"
+              : stringId
+                ? "string"
+                : "name";
+        const replacement = replacements[id];
+        if (!replacement) {
+            return [match];
+        }
+        restored.add(id);
+        const original = join(hardline, replacement.lines);
+        if (replacement.kind === kind) {
+            return [
+                replacement.spaceBefore ? " " : "",
+                original,
+                replacement.spaceAfter ? " " : "",
+            ];
+        }
+        // A token within a string or comment that happens to look like
+        // a placeholder of another kind
+        const tokenStart = match.indexOf(TOKEN);
+        const tokenEnd = match.indexOf("__", tokenStart + TOKEN.length) + 2;
+        return [match.slice(0, tokenStart), original, match.slice(tokenEnd)];
+    };
+    const result = mapDoc(formattedDoc, (currentDoc) => {
+        if (typeof currentDoc !== "string" || !currentDoc.includes(TOKEN)) {
+            return currentDoc;
+        }
+        const parts = [];
+        let position = 0;
+        for (const match of currentDoc.matchAll(PLACEHOLDER)) {
+            parts.push(
+                currentDoc.slice(position, match.index),
+                ...restore(...match),
+            );
+            position = match.index + match[0].length;
+        }
+        parts.push(currentDoc.slice(position));
+        return parts;
+    });
+    return restored.size === replacements.length ? result : null;
 };
 
 /**
- * Formats JavaScript code while preserving Twig expressions
- * @param {string} code - The JavaScript code to format
- * @param {object} options - Prettier options
- * @returns {string} - Formatted JavaScript code with Twig expressions preserved
+ * Checks if code contains Twig tags, expressions or comments
+ * @param {string} code - The code to check
+ * @returns {boolean} - True if code contains Twig
  */
-const formatJavaScriptWithTwig = (code, options = {}) => {
-    // Always skip JavaScript formatting to prevent syntax errors with Twig expressions
-    // Just preserve the original formatting without adding indentation
-    // The printer will handle indentation properly
-    return code.trim();
-};
+const containsTwig = (code) => /\{\{|\{%|\{#/.test(code);
 
 /**
- * Formats CSS code while preserving Twig expressions
- * @param {string} code - The CSS code to format
- * @param {object} options - Prettier options
- * @returns {string} - Formatted CSS code with Twig expressions preserved
+ * Splits code into lines and removes the indentation common to all
+ * of them, as well as leading and trailing blank lines
+ * @param {string} code - The code to split
+ * @returns {string[]} - The dedented lines
  */
-const formatCSSWithTwig = (code, options = {}) => {
-    // Always skip CSS formatting to prevent syntax errors with Twig expressions
-    // Just preserve the original formatting without adding indentation
-    // The printer will handle indentation properly
-    return code.trim();
+const dedentLines = (code) => {
+    const lines = code
+        .replace(/^\s*\n/, "")
+        .trimEnd()
+        .split("\n");
+    const indentations = lines
+        .filter((line) => line.trim())
+        .map((line) => line.match(/^[ \t]*/)[0].length);
+    const commonIndentation =
+        indentations.length > 0 ? Math.min(...indentations) : 0;
+    return lines.map((line) => line.slice(commonIndentation).trimEnd());
 };
 
 module.exports = {
-    formatJavaScript,
-    formatCSS,
-    formatJavaScriptWithTwig,
-    formatCSSWithTwig,
     protectTwigExpressions,
     restoreTwigExpressions,
-    hasComplexTwigExpressions,
-    hasComplexTwigInCSS,
+    containsTwig,
+    dedentLines,
 };
@@ -0,0 +1,84 @@
+/**
+ * Guesses which unknown Twig tags belong together (twigAutoPairTags).
+ * The result has the format of the multiTags option of melody-parser,
+ * e.g. { switch: ["case", "default", "endswitch"] }.
+ */
+
+const TAG_NAME = /\{%[-~]?\s*([a-zA-Z_]\w*)/g;
+const TWIG_COMMENT = /\{#[\s\S]*?#\}/g;
+
+const getTagNames = (text) =>
+    Array.from(text.replace(TWIG_COMMENT, "").matchAll(TAG_NAME), (match) => {
+        return match[1];
+    });
+
+const countNames = (names) =>
+    names.reduce((counts, name) => {
+        counts.set(name, (counts.get(name) || 0) + 1);
+        return counts;
+    }, new Map());
+
+/**
+ * A tag X is paired if {% endX %} occurs as often as {% X %}. An
+ * unknown tag without end tag is an intermediate (like {% case %})
+ * if it only ever occurs directly between {% X %} and {% endX %}.
+ *
+ * @param {string} text The template source
+ * @param {Set} knownTagNames Tags that have a parser of their own
+ * @returns {object} The tags of each pair, ending with the end tag
+ */
+const findTagPairs = (text, knownTagNames) => {
+    const names = getTagNames(text);
+    const counts = countNames(names);
+    const isUnknown = (name) => !knownTagNames.has(name);
+    const pairedNames = new Set(
+        Array.from(counts.keys()).filter(
+            (name) =>
+                isUnknown(name) &&
+                !name.startsWith("end") &&
+                counts.get(name) === counts.get(`end${name}`),
+        ),
+    );
+    const isEndTag = (name) =>
+        name.startsWith("end") && pairedNames.has(name.slice(3));
+
+    // The names of the pairs each other unknown tag occurs in
+    // (null for occurrences outside of any pair)
+    const contexts = new Map();
+    const stack = [];
+    names.forEach((name) => {
+        if (pairedNames.has(name)) {
+            stack.push(name);
+        } else if (isEndTag(name)) {
+            const index = stack.lastIndexOf(name.slice(3));
+            if (index > -1) {
+                stack.length = index;
+            }
+        } else if (isUnknown(name)) {
+            const context = stack.length > 0 ? stack[stack.length - 1] : null;
+            if (!contexts.has(name)) {
+                contexts.set(name, new Set());
+            }
+            contexts.get(name).add(context);
+        }
+    });
+
+    const result = {};
+    pairedNames.forEach((name) => {
+        result[name] = [];
+    });
+    contexts.forEach((pairNames, name) => {
+        const [pairName] = pairNames;
+        if (pairNames.size === 1 && pairName !== null) {
+            result[pairName].push(name);
+        }
+    });
+    pairedNames.forEach((name) => {
+        result[name].push(`end${name}`);
+    });
+    return result;
+};
+
+module.exports = {
+    findTagPairs,
+};
@@ -0,0 +1,741 @@
+/**
+ * A single-pass scanner that hides the parts of a template which
+ * melody-parser cannot handle (Alpine.js/Vue.js attributes, script and
+ * style bodies, v-pre content, inline Twig blocks in start tags, HTML
+ * entities and ${...} expressions) behind placeholders.
+ *
+ * Unlike a chain of regular expressions, the scanner knows whether it is
+ * in text, in a start tag, in a quoted attribute value, in a Twig tag or
+ * in a comment. Quoted ">" characters or attribute-like text in comments
+ * therefore cannot corrupt the template.
+ */
+
+const ALPINE_DIRECTIVES = [
+    "data",
+    "show",
+    "if",
+    "for",
+    "model",
+    "text",
+    "html",
+    "bind",
+    "on",
+    "transition",
+    "effect",
+    "init",
+];
+
+const VUE_DIRECTIVES = [
+    "if",
+    "else-if",
+    "else",
+    "for",
+    "show",
+    "model",
+    "text",
+    "html",
+    "cloak",
+    "once",
+    "memo",
+    "slot",
+    "key",
+    "ref",
+    "is",
+    "bind",
+];
+
+const MODIFIERS = "(?:\\.[a-zA-Z][a-zA-Z0-9.-]*)";
+
+// Attributes whose double-quoted values are kept verbatim
+// (e.g., x-data="{ open: false }", @click="toggle()", :class="classes")
+const ALPINE_ATTRIBUTE = new RegExp(
+    `^(?:x-(?:${ALPINE_DIRECTIVES.join("|")})(?::[^\\s.]+)?${MODIFIERS}*` +
+        `|@[a-zA-Z][a-zA-Z0-9:-]*${MODIFIERS}*` +
+        `|:(?!xmlns)[a-zA-Z][a-zA-Z0-9-]*)$`,
+);
+
+// Attributes whose names melody-parser cannot handle
+// (e.g., v-on:click.prevent, v-model.lazy, x-on:item-selected.window)
+const VUE_ATTRIBUTE = new RegExp(
+    `^(?:v-on:[a-zA-Z][a-zA-Z0-9-]*${MODIFIERS}*` +
+        `|v-bind:[a-zA-Z][a-zA-Z0-9-]*` +
+        `|v-(?:${VUE_DIRECTIVES.join("|")})${MODIFIERS}?` +
+        `|x-[a-zA-Z][a-zA-Z0-9-]*(?::[a-zA-Z][a-zA-Z0-9-]*)?${MODIFIERS}` +
+        `|[@:][a-zA-Z][a-zA-Z0-9:-]*${MODIFIERS}*)$`,
+);
+
+// Attribute values that melody-parser cannot be trusted with
+// when the start tag also contains Twig tags or comments
+const COMPLEX_ATTRIBUTE_VALUE =
+    /\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|\{#[\s\S]*?#\}|[;:|&=><(){}[\]]/;
+
+const HTML_ENTITY = /&(?:#\d+|[a-zA-Z][a-zA-Z0-9]*);/y;
+const TWIG_IF_START = /\{%[-~]?\s*if\s/y;
+const TWIG_ENDIF = /\{%[-~]?\s*endif\s*[-~]?%\}/y;
+const TWIG_TAG_START = /\{%[-~]?\s*([a-zA-Z_]\w*)/y;
+// Tags whose content is neither Twig nor HTML
+const VERBATIM_TAGS = ["verbatim", "raw"];
+const TAG_NAME = /[a-zA-Z][^\s/>]*/y;
+// Symfony UX Twig components (<twig:Alert :message="msg">)
+const COMPONENT_TAG_NAME = /^twig:/;
+const COMPONENT_PROP = /^:[a-zA-Z_][\w-]*$/;
+const COMPONENT_SPREAD = /^\{\{[-~]?\s*\.\.\./;
+const ATTRIBUTE_NAME = /[^\s"'=<>/{]+|\/(?!>)/y;
+const ATTRIBUTE_EQUALS = /\s*=\s*/y;
+const UNQUOTED_VALUE = /[^\s>]*/y;
+
+const TWIG_DELIMITERS = {
+    "{{": "}}",
+    "{%": "%}",
+    "{#": "#}",
+};
+
+const matchAt = (pattern, text, position) => {
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    return match ? match[0] : null;
+};
+
+// Helper function to normalize JavaScript whitespace while preserving string literals
+const normalizeJavaScriptWhitespace = (expression) => {
+    let result = "";
+    let inString = false;
+    let stringChar = null;
+    let escaped = false;
+
+    for (let i = 0; i < expression.length; i++) {
+        const char = expression[i];
+        const nextChar = expression[i + 1];
+
+        if (escaped) {
+            result += char;
+            escaped = false;
+            continue;
+        }
+
+        if (char === "\\") {
+            result += char;
+            escaped = true;
+            continue;
+        }
+
+        if (!inString && (char === '"' || char === "'")) {
+            inString = true;
+            stringChar = char;
+            result += char;
+            continue;
+        }
+
+        if (inString && char === stringChar) {
+            inString = false;
+            stringChar = null;
+            result += char;
+            continue;
+        }
+
+        if (inString) {
+            // Inside a string - preserve all characters including whitespace
+            result += char;
+        } else {
+            // Outside strings - normalize whitespace
+            if (/\s/.test(char)) {
+                // If current char is whitespace, check if we need to add a space
+                if (
+                    result &&
+                    !result.endsWith(" ") &&
+                    nextChar &&
+                    !/\s/.test(nextChar)
+                ) {
+                    result += " ";
+                }
+                // Skip consecutive whitespace
+            } else {
+                result += char;
+            }
+        }
+    }
+
+    return result.trim();
+};
+
+/**
+ * Returns the end of the quoted string starting at position,
+ * honouring backslash escapes
+ */
+const skipString = (text, position) => {
+    const quote = text[position];
+    let index = position + 1;
+    while (index < text.length && text[index] !== quote) {
+        index += text[index] === "\\" ? 2 : 1;
+    }
+    return Math.min(index + 1, text.length);
+};
+
+/**
+ * Returns the end of the Twig tag, expression or comment starting at
+ * position. Closing delimiters inside Twig strings are ignored.
+ */
+const skipTwig = (text, position) => {
+    const opening = text.substr(position, 2);
+    const closing = TWIG_DELIMITERS[opening];
+    let index = position + 2;
+    while (index < text.length) {
+        if (text.startsWith(closing, index)) {
+            return index + 2;
+        }
+        const char = text[index];
+        if (opening !== "{#" && (char === '"' || char === "'")) {
+            index = skipString(text, index);
+        } else {
+            index++;
+        }
+    }
+    return text.length;
+};
+
+const isTwigStart = (text, position) =>
+    text[position] === "{" && TWIG_DELIMITERS[text.substr(position, 2)];
+
+/**
+ * Returns the end of the {% if %}...{% endif %} block starting at
+ * position, or -1 if the block is not closed.
+ */
+const skipTwigConditional = (text, position) => {
+    let depth = 0;
+    let index = position;
+    while (index < text.length) {
+        if (matchAt(TWIG_IF_START, text, index)) {
+            depth++;
+        } else if (matchAt(TWIG_ENDIF, text, index)) {
+            depth--;
+        }
+        if (isTwigStart(text, index)) {
+            index = skipTwig(text, index);
+            if (depth === 0) {
+                return index;
+            }
+        } else if (text[index] === '"' || text[index] === "'") {
+            index = skipString(text, index);
+        } else if (text[index] === ">") {
+            // The start tag ends before the block is closed
+            return -1;
+        } else {
+            index++;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Returns the end of the ${...} expression starting at position,
+ * or -1 if the expression is not closed.
+ */
+const skipTemplateExpression = (text, position) => {
+    let depth = 0;
+    let index = position + 1;
+    while (index < text.length) {
+        const char = text[index];
+        if (char === '"' || char === "'" || char === "`") {
+            index = skipString(text, index);
+            continue;
+        }
+        if (char === "{") {
+            depth++;
+        } else if (char === "}" && --depth === 0) {
+            return index + 1;
+        }
+        index++;
+    }
+    return -1;
+};
+
+/**
+ * Returns the end of the quoted attribute value starting at position.
+ * Twig expressions inside the value may contain the same quote
+ * character (e.g., class="{{ active ? "active" }}").
+ */
+const skipAttributeValue = (text, position) => {
+    const quote = text[position];
+    let index = position + 1;
+    while (index < text.length && text[index] !== quote) {
+        index = isTwigStart(text, index) ? skipTwig(text, index) : index + 1;
+    }
+    return Math.min(index + 1, text.length);
+};
+
+const createScanner = (text, { verbatimTags = [], embeddedTags = {} }) => ({
+    text,
+    verbatimTags: new Set([...VERBATIM_TAGS, ...verbatimTags]),
+    embeddedTags,
+    position: 0,
+    edits: [],
+    replacements: new Map(),
+    counter: 0,
+    entityCounter: 0,
+});
+
+const addEdit = (scanner, start, end, replacement) => {
+    scanner.edits.push({ start, end, replacement });
+};
+
+const addPlaceholder = (scanner, prefix, value) => {
+    const placeholder = `${prefix}-${scanner.counter++}`;
+    scanner.replacements.set(placeholder, value);
+    return placeholder;
+};
+
+/**
+ * Protects an HTML entity or a ${...} expression at the given position.
+ *
+ * @returns {number} The position after the protected text, or -1
+ */
+const scanInlineContent = (scanner, position) => {
+    const { text } = scanner;
+    const entity =
+        text[position] === "&" && matchAt(HTML_ENTITY, text, position);
+    if (entity) {
+        // Temporarily protect HTML entities from being decoded
+        const placeholder = `__HTML_ENTITY_${scanner.entityCounter++}__`;
+        scanner.replacements.set(placeholder, entity);
+        addEdit(scanner, position, position + entity.length, placeholder);
+        return position + entity.length;
+    }
+    if (text.startsWith("${", position)) {
+        // Keep Vue.js template expressions on one line
+        const end = skipTemplateExpression(text, position);
+        if (end > -1) {
+            const expression = text.slice(position + 2, end - 1);
+            const placeholder = addPlaceholder(
+                scanner,
+                "vue-expression",
+                `\${${normalizeJavaScriptWhitespace(expression)}}`,
+            );
+            addEdit(scanner, position, end, placeholder);
+            return end;
+        }
+    }
+    return -1;
+};
+
+const scanInlineRange = (scanner, start, end) => {
+    let position = start;
+    while (position < end) {
+        if (isTwigStart(scanner.text, position)) {
+            position = skipTwig(scanner.text, position);
+            continue;
+        }
+        const next = scanInlineContent(scanner, position);
+        position = next > -1 ? next : position + 1;
+    }
+};
+
+/**
+ * Reads the items of a start tag: attributes, Twig tags, expressions
+ * and comments. The scanner position must be after the tag name.
+ */
+const readStartTagItems = (scanner) => {
+    const { text } = scanner;
+    const items = [];
+    let position = scanner.position;
+    while (position < text.length) {
+        const char = text[position];
+        if (/\s/.test(char)) {
+            position++;
+        } else if (char === ">" || text.startsWith("/>", position)) {
+            const selfClosing = char === "/";
+            scanner.position = position + (selfClosing ? 2 : 1);
+            return { items, selfClosing, closed: true };
+        } else if (isTwigStart(text, position)) {
+            const conditionalEnd = matchAt(TWIG_IF_START, text, position)
+                ? skipTwigConditional(text, position)
+                : -1;
+            const end =
+                conditionalEnd > -1 ? conditionalEnd : skipTwig(text, position);
+            const kind =
+                text[position + 1] === "#"
+                    ? "comment"
+                    : conditionalEnd > -1
+                      ? "conditional"
+                      : "twig";
+            items.push({ kind, start: position, end });
+            position = end;
+        } else {
+            const name = matchAt(ATTRIBUTE_NAME, text, position);
+            if (!name) {
+                // Stray quote or similar, leave it to melody-parser
+                position++;
+                continue;
+            }
+            const attribute = {
+                kind: "attribute",
+                name,
+                start: position,
+                end: position + name.length,
+                value: null,
+            };
+            position = attribute.end;
+            const equals = matchAt(ATTRIBUTE_EQUALS, text, position);
+            if (equals) {
+                const valueStart = position + equals.length;
+                const quote = text[valueStart];
+                const valueEnd =
+                    quote === '"' || quote === "'"
+                        ? skipAttributeValue(text, valueStart)
+                        : valueStart +
+                          matchAt(UNQUOTED_VALUE, text, valueStart).length;
+                const quoted = quote === '"' || quote === "'";
+                attribute.value = {
+                    start: valueStart,
+                    end: valueEnd,
+                    quote: quoted ? quote : null,
+                    text: quoted
+                        ? text.slice(valueStart + 1, valueEnd - 1)
+                        : text.slice(valueStart, valueEnd),
+                };
+                attribute.end = valueEnd;
+                position = valueEnd;
+            }
+            items.push(attribute);
+        }
+    }
+    scanner.position = text.length;
+    return { items, selfClosing: false, closed: false };
+};
+
+const protectAlpineAttribute = (scanner, attribute) => {
+    const { name, value } = attribute;
+    const attrValue = value.text;
+    let valueId;
+    let nameId;
+    // Check if this is already a mixed Twig/Alpine attribute (has {{ }})
+    if (attrValue.includes("{{") && attrValue.includes("}}")) {
+        const twigExpressions = [];
+        const processedValue = attrValue.replace(
+            /\{\{([^}]+)\}\}/g,
+            (twigMatch, expr) => {
+                const twigPlaceholder = `__TWIG_EXPR_${twigExpressions.length}__`;
+                twigExpressions.push(expr.trim());
+                return twigPlaceholder;
+            },
+        );
+        valueId = addPlaceholder(scanner, "mixed-attr", {
+            type: "MixedAttribute",
+            attrName: name,
+            processedValue,
+            twigExpressions,
+            originalValue: attrValue,
+        });
+        nameId = addPlaceholder(scanner, "data-alpine-mixed", name);
+    } else {
+        valueId = addPlaceholder(scanner, "alpine-attr", {
+            type: "AlpineAttribute",
+            attrName: name,
+            originalValue: attrValue,
+        });
+        nameId = addPlaceholder(scanner, "data-alpine-pure", name);
+    }
+    addEdit(scanner, attribute.start, attribute.end, `${nameId}="${valueId}"`);
+};
+
+/**
+ * Replaces a quoted value with a placeholder that remembers the quote
+ * character to print. Single quotes are kept where they avoid escaping.
+ * melody-parser itself only understands double quotes.
+ */
+const protectQuotedValue = (scanner, value) => {
+    const quote =
+        value.quote === "'" &&
+        value.text.includes('"') &&
+        !value.text.includes("'")
+            ? "'"
+            : '"';
+    const placeholder = addPlaceholder(scanner, "vue-alpine-value", {
+        value: value.text,
+        quote,
+    });
+    addEdit(scanner, value.start, value.end, `"${placeholder}"`);
+};
+
+const protectAttribute = (scanner, attribute, tagHasTwig) => {
+    const { name, value } = attribute;
+    // Single-quoted values are printed with double quotes unless they
+    // contain some, so they are handled the same way
+    if (
+        value &&
+        (value.quote === '"' ||
+            (value.quote === "'" && !value.text.includes('"'))) &&
+        ALPINE_ATTRIBUTE.test(name)
+    ) {
+        protectAlpineAttribute(scanner, attribute);
+        return;
+    }
+
+    if (VUE_ATTRIBUTE.test(name) || (value && ALPINE_ATTRIBUTE.test(name))) {
+        const nameId = addPlaceholder(scanner, "data-vue-alpine", name);
+        addEdit(
+            scanner,
+            attribute.start,
+            attribute.start + name.length,
+            nameId,
+        );
+        if (value && value.quote) {
+            protectQuotedValue(scanner, value);
+        }
+        return;
+    }
+
+    if (!value) {
+        return;
+    }
+
+    if (
+        value.quote === '"' &&
+        tagHasTwig &&
+        COMPLEX_ATTRIBUTE_VALUE.test(value.text)
+    ) {
+        const placeholder = addPlaceholder(
+            scanner,
+            "twig-attr-value",
+            name === "style" ? value.text.trim() : value.text,
+        );
+        addEdit(scanner, value.start, value.end, `"${placeholder}"`);
+        return;
+    }
+
+    if (value.quote === "'") {
+        if (/["{}]/.test(value.text)) {
+            // melody-parser only understands double-quoted values
+            protectQuotedValue(scanner, value);
+            return;
+        }
+        addEdit(scanner, value.start, value.start + 1, '"');
+        scanInlineRange(scanner, value.start + 1, value.end - 1);
+        addEdit(scanner, value.end - 1, value.end, '"');
+        return;
+    }
+
+    scanInlineRange(scanner, value.start, value.end);
+};
+
+/**
+ * The value of a :prop of a Twig component is a Twig expression. It is
+ * wrapped in {{ }}, so that melody-parser parses it as one.
+ */
+const protectComponentProp = (scanner, attribute) => {
+    const { name, value } = attribute;
+    const nameId = addPlaceholder(scanner, "data-twig-prop", name);
+    addEdit(scanner, attribute.start, attribute.start + name.length, nameId);
+    addEdit(scanner, value.start, value.end, `"{{ ${value.text} }}"`);
+};
+
+const isComponentProp = (item) =>
+    item.kind === "attribute" &&
+    COMPONENT_PROP.test(item.name) &&
+    item.value &&
+    item.value.quote === '"' &&
+    item.value.text.trim() !== "";
+
+const isComponentSpread = (scanner, item) =>
+    item.kind === "twig" &&
+    COMPONENT_SPREAD.test(scanner.text.slice(item.start, item.end));
+
+const protectStartTagItems = (scanner, items, tagHasTwig, isComponent) => {
+    items.forEach((item) => {
+        if (isComponent && isComponentProp(item)) {
+            protectComponentProp(scanner, item);
+        } else if (item.kind === "attribute") {
+            protectAttribute(scanner, item, tagHasTwig);
+        } else if (
+            item.kind === "comment" ||
+            item.kind === "conditional" ||
+            (isComponent && isComponentSpread(scanner, item))
+        ) {
+            const prefix = {
+                comment: "data-twig-comment",
+                conditional: "data-twig-conditional",
+                twig: "data-twig-spread",
+            }[item.kind];
+            const placeholder = addPlaceholder(
+                scanner,
+                prefix,
+                scanner.text.slice(item.start, item.end),
+            );
+            addEdit(scanner, item.start, item.end, `${placeholder}="1"`);
+        }
+    });
+};
+
+/**
+ * Finds the end tag matching an element whose start tag ends at
+ * position, counting nested elements of the same name.
+ *
+ * @returns {object|null} Start and end of the end tag
+ */
+const findEndTag = (text, name, position, nested = true) => {
+    const pattern = new RegExp(`<(/?)${name}(?=[\\s/>])[^>]*>`, "gi");
+    pattern.lastIndex = position;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(text))) {
+        if (match[1]) {
+            depth--;
+        } else if (nested && !match[0].endsWith("/>")) {
+            depth++;
+        }
+        if (depth === 0) {
+            return { start: match.index, end: pattern.lastIndex };
+        }
+    }
+    return null;
+};
+
+/**
+ * Hides element content that must not be touched: the content of
+ * v-pre elements and script or style bodies.
+ */
+const protectElementContent = (scanner, tagName, items) => {
+    const lowerName = tagName.toLowerCase();
+    const isVPre = items.some(
+        (item) => item.kind === "attribute" && item.name === "v-pre",
+    );
+    const isRawText = lowerName === "script" || lowerName === "style";
+    if (!isVPre && !isRawText) {
+        return;
+    }
+    const escapedName = tagName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const endTag = findEndTag(
+        scanner.text,
+        escapedName,
+        scanner.position,
+        !isRawText,
+    );
+    if (!endTag) {
+        return;
+    }
+    const content = scanner.text.slice(scanner.position, endTag.start);
+    // Script and style content is formatted by the printer (see embed.js)
+    const placeholder = addPlaceholder(
+        scanner,
+        isVPre ? "v-pre-content" : `${lowerName}-content`,
+        content,
+    );
+    addEdit(scanner, scanner.position, endTag.start, placeholder);
+    scanner.position = endTag.end;
+};
+
+const scanStartTag = (scanner) => {
+    const { text } = scanner;
+    const tagStart = scanner.position;
+    const tagName = matchAt(TAG_NAME, text, tagStart + 1);
+    scanner.position = tagStart + 1 + tagName.length;
+    const { items, selfClosing, closed } = readStartTagItems(scanner);
+    const tagSource = text.slice(tagStart, scanner.position);
+    const tagHasTwig = tagSource.includes("{%") || tagSource.includes("{#");
+    protectStartTagItems(
+        scanner,
+        items,
+        tagHasTwig,
+        COMPONENT_TAG_NAME.test(tagName),
+    );
+    if (closed && !selfClosing) {
+        protectElementContent(scanner, tagName, items);
+    }
+};
+
+const isEmbeddedTag = (scanner, tagName) =>
+    Object.prototype.hasOwnProperty.call(scanner.embeddedTags, tagName);
+
+const getVerbatimContentPrefix = (scanner, tagName) => {
+    if (isEmbeddedTag(scanner, tagName)) {
+        return `${scanner.embeddedTags[tagName]}-content`;
+    }
+    return scanner.verbatimTags.has(tagName) ? "verbatim-content" : null;
+};
+
+/**
+ * Replaces the content of a {% verbatim %} or {% raw %} block (or of
+ * another tag whose content must be kept as it is, or is formatted as
+ * script or style) with a placeholder, so that it is not parsed.
+ * Returns the position of the closing tag, or -1 if there is no such
+ * block. A {% js %} or {% css %} tag followed by another tag of the
+ * same name before its closing tag has no content (e.g.,
+ * {% js "/script.js" %}).
+ */
+const protectVerbatimContent = (scanner, position) => {
+    const { text } = scanner;
+    TWIG_TAG_START.lastIndex = position;
+    const match = TWIG_TAG_START.exec(text);
+    const prefix = match ? getVerbatimContentPrefix(scanner, match[1]) : null;
+    if (!prefix) {
+        return -1;
+    }
+    const contentStart = skipTwig(text, position);
+    // The content of verbatim blocks may contain anything but their
+    // closing tag, including another opening tag
+    const nextTag = isEmbeddedTag(scanner, match[1])
+        ? new RegExp(`\\{%[-~]?\\s*(end)?${match[1]}\\b`, "g")
+        : new RegExp(`\\{%[-~]?\\s*(end)${match[1]}\\s*[-~]?%\\}`, "g");
+    nextTag.lastIndex = contentStart;
+    const nextMatch = nextTag.exec(text);
+    if (!nextMatch || !nextMatch[1]) {
+        return -1;
+    }
+    const placeholder = addPlaceholder(
+        scanner,
+        prefix,
+        text.slice(contentStart, nextMatch.index),
+    );
+    addEdit(scanner, contentStart, nextMatch.index, placeholder);
+    return nextMatch.index;
+};
+
+const skipPast = (text, position, terminator) => {
+    const index = text.indexOf(terminator, position);
+    return index < 0 ? text.length : index + terminator.length;
+};
+
+/**
+ * Scans the template and collects the edits needed to hide everything
+ * melody-parser cannot handle. Placeholders are numbered in document
+ * order, so the result is deterministic.
+ *
+ * @param {string} text The template source
+ * @param {object} tags Names of additional tags whose content must be
+ *                      kept as it is (verbatimTags, e.g. ["trans"]) or
+ *                      is formatted as script or style (embeddedTags,
+ *                      e.g. { js: "script" })
+ * @returns {object} The edits (sorted, non-overlapping ranges with
+ *                   their replacement) and the placeholder map
+ */
+const scanTemplate = (text, tags = {}) => {
+    const scanner = createScanner(text, tags);
+    while (scanner.position < text.length) {
+        const position = scanner.position;
+        const char = text[position];
+        if (isTwigStart(text, position)) {
+            const next = protectVerbatimContent(scanner, position);
+            scanner.position = next > -1 ? next : skipTwig(text, position);
+        } else if (text.startsWith("<!--", position)) {
+            scanner.position = skipPast(text, position + 4, "-->");
+        } else if (char === "<" && /[a-zA-Z]/.test(text[position + 1] || "")) {
+            scanStartTag(scanner);
+        } else if (
+            char === "<" &&
+            (text[position + 1] === "/" ||
+                text[position + 1] === "!" ||
+                text[position + 1] === "?")
+        ) {
+            scanner.position = skipPast(text, position + 2, ">");
+        } else {
+            const next = scanInlineContent(scanner, position);
+            scanner.position = next > -1 ? next : position + 1;
+        }
+    }
+    return { edits: scanner.edits, replacements: scanner.replacements };
+};
+
+module.exports = {
+    scanTemplate,
+    skipTwig,
+    isTwigStart,
+};
@@ -0,0 +1,339 @@
+const { Types } = require("melody-parser");
+const { Node } = require("melody-types");
+const { PREFORMATTED } = require("./publicSymbols.js");
+const { getChildNodes, locStart, locEnd } = require("./locationUtil.js");
+const {
+    isInlineElement,
+    isTwigTag,
+    isWhitespaceOnly,
+    createInlineMap,
+    removeSurroundingWhitespace,
+} = require("./publicFunctions.js");
+
+const TILDE = "~";
+
+/**
+ * melody-parser derives the whitespace control of nodes from the
+ * text of the delimiters, e.g. trimLeft = text.endsWith("-") for
+ * "{%-". The text of "{%~" answers this check with "~", so that
+ * the flags of the nodes are false, true (for "-") or "~".
+ */
+class TildeDelimiterText extends String {
+    endsWith(searchString, ...rest) {
+        return searchString === "-" && super.endsWith(TILDE)
+            ? TILDE
+            : super.endsWith(searchString, ...rest);
+    }
+
+    startsWith(searchString, ...rest) {
+        return searchString === "-" && super.startsWith(TILDE)
+            ? TILDE
+            : super.startsWith(searchString, ...rest);
+    }
+}
+
+// Closing delimiters by lexer state
+const CLOSING_DELIMITERS = {
+    EXPRESSION: { text: "}}", type: Types.EXPRESSION_END },
+    TAG: { text: "%}", type: Types.TAG_END },
+};
+
+const withTildeText = (lexer, token) => {
+    token.text = new TildeDelimiterText(token.text);
+    lexer.tildeDelimiters.add(token.pos.index);
+    return token;
+};
+
+/**
+ * Teaches the lexer the "line whitespace" modifier of Twig:
+ * {%~ ~%} and {{~ ~}}
+ */
+const enableTildeModifier = (lexer) => {
+    lexer.tildeDelimiters = new Set();
+
+    const matchExpressionToken = lexer.matchExpressionToken;
+    lexer.matchExpressionToken = function (pos) {
+        const input = this.input;
+        const isDelimiter = input.la(1) === "{" || input.la(1) === "%";
+        if (!isDelimiter || input.la(2) !== TILDE) {
+            return matchExpressionToken.call(this, pos);
+        }
+        // Lexes "{%" and enters the tag state
+        const token = matchExpressionToken.call(this, pos);
+        input.next();
+        return withTildeText(this, this.createToken(token.type, pos));
+    };
+
+    const matchExpression = lexer.matchExpression;
+    lexer.matchExpression = function (pos) {
+        const input = this.input;
+        const closing = CLOSING_DELIMITERS[this.state];
+        if (
+            !closing ||
+            input.la(0) !== TILDE ||
+            input.la(1) !== closing.text[0] ||
+            input.la(2) !== closing.text[1]
+        ) {
+            return matchExpression.call(this, pos);
+        }
+        input.next();
+        input.next();
+        input.next();
+        this.popState();
+        return withTildeText(this, this.createToken(closing.type, pos));
+    };
+    return lexer;
+};
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Some parsers of melody turn the flags into booleans, e.g. the
+ * flags of {{ }} statements or trimLeftElse = !!(...) of {% if %}.
+ * They are restored from the delimiters, starting with the flags of
+ * expressions, which are taken from the surrounding {{ }}.
+ */
+const enableTildeModifierFlags = (parser) => {
+    const lexer = parser.tokens.input;
+    const isTilde = (token) => lexer.tildeDelimiters.has(token.pos.index);
+    const restoreFlag = (node, flag, token) => {
+        if (node[flag] === true && isTilde(token)) {
+            node[flag] = TILDE;
+        }
+    };
+
+    const matchExpression = parser.matchExpression;
+    parser.matchExpression = function (...args) {
+        const tokens = this.tokens;
+        const startToken = tokens.la(-1);
+        const result = matchExpression.apply(this, args);
+        restoreFlag(result, "trimLeft", startToken);
+        restoreFlag(result, "trimRight", tokens.la(0));
+        return result;
+    };
+
+    // The flags of tags are named after the tag, e.g. trimLeftElse
+    // for the start of {% else %} or trimRightSet for the end of
+    // {% set %}. Delimiters of nested tags are owned by those tags.
+    const ownedTokens = new WeakSet();
+    const matchTag = parser.matchTag;
+    parser.matchTag = function () {
+        const tokens = this.tokens;
+        const startIndex = tokens.index - 1;
+        const result = matchTag.call(this);
+        let tagName = "";
+        for (let offset = startIndex - tokens.index; offset < 0; offset++) {
+            const token = tokens.la(offset);
+            if (ownedTokens.has(token)) {
+                continue;
+            }
+            ownedTokens.add(token);
+            if (token.type === Types.TAG_START) {
+                tagName = capitalize(tokens.la(offset + 1).text);
+                restoreFlag(result, "trimLeft" + tagName, token);
+            } else if (token.type === Types.TAG_END) {
+                restoreFlag(result, "trimRight" + tagName, token);
+            }
+        }
+        return result;
+    };
+    return parser;
+};
+
+/**
+ * {{ }} statements take the flags of their expression
+ */
+const applyTildeModifiers = (ast) => {
+    const visit = (node) => {
+        if (Node.isPrintExpressionStatement(node)) {
+            if (node.trimLeft) {
+                node.trimLeft = node.value.trimLeft;
+            }
+            if (node.trimRight) {
+                node.trimRight = node.value.trimRight;
+            }
+        }
+        getChildNodes(node).forEach(visit);
+    };
+    visit(ast);
+};
+
+const isBlockElement = (node) => Node.isElement(node) && !isInlineElement(node);
+
+const getText = (node) =>
+    Node.isPrintTextStatement(node) && typeof node.value.value === "string"
+        ? node.value.value
+        : null;
+
+/**
+ * True if only whitespace separates the child at index from a block
+ * element (or the boundary of a block element parent) in the given
+ * direction. A modifier on this side does not change the rendering.
+ */
+const isNextToBlockBoundary = (children, index, step, isBlockParent) => {
+    let neighborIndex = index + step;
+    const text = getText(children[neighborIndex] || {});
+    if (text !== null && isWhitespaceOnly(text)) {
+        neighborIndex += step;
+    }
+    const neighbor = children[neighborIndex];
+    return neighbor ? isBlockElement(neighbor) : isBlockParent;
+};
+
+/**
+ * True if the child at index touches inline content in the given
+ * direction, without whitespace in between
+ */
+const isNextToInlineContent = (children, index, step) => {
+    const neighbor = children[index + step];
+    if (!neighbor || !isInlineElement(neighbor)) {
+        return false;
+    }
+    const text = getText(neighbor);
+    if (text === null) {
+        return true;
+    }
+    const adjacentChar = step < 0 ? text.slice(-1) : text.charAt(0);
+    return adjacentChar !== "" && !isWhitespaceOnly(adjacentChar);
+};
+
+// The tags printed as they are written, as words of the text
+const findTagsWithinText = (children, originalSource) => {
+    const nodes = removeSurroundingWhitespace(children);
+    const inlineMap = createInlineMap(nodes, originalSource);
+    return nodes.filter((node, index) => inlineMap[index] && isTwigTag(node));
+};
+
+const normalizeChildren = (children, isBlockParent, mode) => {
+    children.forEach((child, index) => {
+        if (!isTwigTag(child)) {
+            return;
+        }
+        if (mode === "minimal") {
+            if (isNextToBlockBoundary(children, index, -1, isBlockParent)) {
+                child.trimLeft = false;
+            }
+            if (isNextToBlockBoundary(children, index, 1, isBlockParent)) {
+                child.trimRight = false;
+            }
+        } else if (mode === "explicit") {
+            if (isNextToInlineContent(children, index, -1)) {
+                child.trimLeft = true;
+            }
+            if (isNextToInlineContent(children, index, 1)) {
+                child.trimRight = true;
+            }
+        }
+    });
+};
+
+const TAG_NAME = /^\{%[-~]?\s*(\w+)/;
+
+// The name of the tag that ends right before the index
+const getTagNameBefore = (text, index) => {
+    const before = text.slice(0, index);
+    if (!before.endsWith("%}")) {
+        return null;
+    }
+    const match = TAG_NAME.exec(before.slice(before.lastIndexOf("{%")));
+    // {% elseif %} opens a nested IfStatement
+    return match && (match[1] === "elseif" ? "if" : match[1]);
+};
+
+// The name of the tag that starts at the index
+const getTagNameAt = (text, index) => {
+    const match = TAG_NAME.exec(text.slice(index));
+    return match && match[1];
+};
+
+// The flags of a tag belong to the innermost statement that has them,
+// e.g. trimRightElse after an elseif to the outermost IfStatement
+const setFlag = (owners, flag) => {
+    const owner = owners.find((node) =>
+        Object.prototype.hasOwnProperty.call(node, flag),
+    );
+    if (owner) {
+        owner[flag] = true;
+    }
+};
+
+/**
+ * The printer puts the content of tags that are not within text on
+ * lines of its own. Where the content touches the opening or end tag
+ * without whitespace, "-" keeps these line breaks out of the output,
+ * e.g. {% if a -%}<b>x</b>{%- endif %}.
+ */
+const addInnerWhitespaceControl = (children, owners, originalSource) => {
+    if (children.length === 0) {
+        return;
+    }
+    if (isNextToInlineContent(children, -1, 1)) {
+        const name = getTagNameBefore(originalSource, locStart(children[0]));
+        if (name) {
+            setFlag(owners, "trimRight" + capitalize(name));
+        }
+    }
+    if (isNextToInlineContent(children, children.length, -1)) {
+        const last = children[children.length - 1];
+        const name = getTagNameAt(originalSource, locEnd(last));
+        if (name) {
+            setFlag(owners, "trimLeft" + capitalize(name));
+        }
+    }
+};
+
+/**
+ * Removes ("minimal") or adds ("explicit") the whitespace control of
+ * tags, where it provably does not change the rendered whitespace of
+ * the template. "minimal" removes it at the outer delimiters next to
+ * block elements. "explicit" adds it to the delimiters that touch
+ * inline content, so that line breaks added by the printer within
+ * tags are not rendered. The content of <pre> and other preformatted
+ * elements is kept.
+ *
+ * @param {object} ast The root node returned by melody-parser
+ * @param {string} mode The twigWhitespaceControl option
+ * @param {string} originalSource The source of the template
+ */
+const normalizeWhitespaceControl = (ast, mode, originalSource) => {
+    if (mode !== "minimal" && mode !== "explicit") {
+        return;
+    }
+    const tagsWithinText = new Set();
+    const visit = (node, ancestors, isWithinText) => {
+        if (node[PREFORMATTED]) {
+            return;
+        }
+        const owners = [node, ...ancestors];
+        const isNodeWithinText = isWithinText || tagsWithinText.has(node);
+        Object.keys(node).forEach((key) => {
+            const value = node[key];
+            if (Array.isArray(value) && key !== "attributes") {
+                normalizeChildren(value, isBlockElement(node), mode);
+                if (mode === "explicit") {
+                    findTagsWithinText(value, originalSource).forEach((tag) =>
+                        tagsWithinText.add(tag),
+                    );
+                    if (!isNodeWithinText) {
+                        addInnerWhitespaceControl(
+                            value,
+                            owners,
+                            originalSource,
+                        );
+                    }
+                }
+            }
+        });
+        getChildNodes(node).forEach((child) =>
+            visit(child, owners, isNodeWithinText),
+        );
+    };
+    visit(ast, [], false);
+};
+
+module.exports = {
+    enableTildeModifier,
+    enableTildeModifierFlags,
+    applyTildeModifiers,
+    normalizeWhitespaceControl,
+};
@@ -0,0 +1,4 @@
+run_spec(__dirname, ["melody"], {
+    twigAutoPairTags: true,
+    twigMultiTags: ["cache,endcache"],
+});
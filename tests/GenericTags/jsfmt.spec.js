@@ -1,8 +1,13 @@
-run_spec(__dirname, ["melody"], {
-    twigMultiTags: [
-        "nav,endnav",
-        "switch,case,default,endswitch",
-        "ifchildren,endifchildren",
-        "cache,endcache",
-    ],
-});
+run_spec(
+    __dirname,
+    ["melody"],
+    {
+        twigMultiTags: [
+            "nav,endnav",
+            "switch,case,default,endswitch",
+            "ifchildren,endifchildren",
+            "cache,endcache",
+        ],
+    },
+    { checkIdempotency: true },
+);
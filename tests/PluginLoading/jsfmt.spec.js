@@ -0,0 +1,35 @@
+const prettier = require("prettier");
+
+const MISSING_PLUGIN = "tests/PluginLoading/missing-plugin";
+
+const options = {
+    parser: "melody",
+    plugins: ["."],
+    tabWidth: 4,
+    twigMultiTags: ["switch,case,default,endswitch"],
+    twigMelodyPlugins: ["tests/switch-plugin", MISSING_PLUGIN],
+};
+
+test("plugins are loaded once for all documents", async () => {
+    const consoleError = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+    try {
+        const first = await prettier.format(
+            "{% switch a %}{% case 1 %}one{% endswitch %}",
+            options,
+        );
+        const second = await prettier.format(
+            "{% switch b %}{% case 2 %}two{% endswitch %}",
+            options,
+        );
+        expect(first).toContain("{% case 1 %}");
+        expect(second).toContain("{% case 2 %}");
+        expect(consoleError).toHaveBeenCalledTimes(1);
+        expect(consoleError).toHaveBeenCalledWith(
+            "Could not load plugin path " + MISSING_PLUGIN,
+        );
+    } finally {
+        consoleError.mockRestore();
+    }
+});
@@ -0,0 +1,3 @@
+run_spec(__dirname, ["melody"], {
+    twigMelodyPlugins: ["tests/test-name-plugin"],
+});
@@ -0,0 +1,3 @@
+// The templates are formatted one after the other by the same printer.
+// The ignore region left open by the first must not reach the second.
+run_spec(__dirname, ["melody"]);
@@ -0,0 +1,11 @@
+run_spec(__dirname, ["melody"], {
+    twigMultiTags: [
+        "tabs,tab,endtabs",
+        "switch,case,default,endswitch",
+        "ifchildren,endifchildren",
+    ],
+    twigTagLayouts: {
+        tabs: { intermediateIndent: 1, bodyIndent: 2 },
+        switch: { intermediateIndent: 0, bodyIndent: 1 },
+    },
+});
@@ -0,0 +1 @@
+run_spec(__dirname, ["melody"]);
@@ -0,0 +1,3 @@
+run_spec(__dirname, ["melody"], {
+    twigWhitespaceControl: "explicit",
+});
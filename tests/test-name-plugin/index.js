@@ -0,0 +1,30 @@
+const { Node, type, alias, visitor } = require("melody-types");
+
+// Named like the tests of melody-extension-core, so that the printer
+// of this plugin prints it
+class TestExpression extends Node {
+    constructor(expr, args) {
+        super();
+        this.expression = expr;
+        this.arguments = args;
+    }
+}
+type(TestExpression, "TestInstanceOfExpression");
+alias(TestExpression, "Expression", "TestExpression");
+visitor(TestExpression, "expression", "arguments");
+
+const createTest = (text) => ({
+    text,
+    createNode: (expr, args) => new TestExpression(expr, args),
+});
+
+module.exports = {
+    melodyExtensions: [
+        {
+            tests: [createTest("instanceof"), createTest("instance of")],
+        },
+    ],
+    testNames: {
+        TestInstanceOfExpression: "instance of",
+    },
+};
@@ -4,7 +4,8 @@ const fs = require("fs");
 const extname = require("path").extname;
 const prettier = require("prettier");
 
-function run_spec(dirname, parsers, options) {
+function run_spec(dirname, parsers, options, specOptions) {
+    specOptions = Object.assign({ checkIdempotency: false }, specOptions);
     options = Object.assign(
         {
             plugins: ["."],
@@ -24,30 +25,51 @@ function run_spec(dirname, parsers, options) {
             extname(filename) !== ".snap" &&
             fs.lstatSync(path).isFile() &&
             filename[0] !== "." &&
-            filename !== "jsfmt.spec.js"
+            !filename.endsWith("jsfmt.spec.js")
         ) {
             const source = read(path).replace(/\r\n/g, "\n");
 
             const mergedOptions = Object.assign({}, options, {
                 parser: parsers[0],
             });
-            const output = prettyprint(source, path, mergedOptions);
-            test(`${filename} - ${mergedOptions.parser}-verify`, () => {
+            test(`${filename} - ${mergedOptions.parser}-verify`, async () => {
+                const output = await prettyprint(source, path, mergedOptions);
                 expect(
                     raw(source + "~".repeat(80) + "\n" + output),
                 ).toMatchSnapshot(filename);
             });
 
+            if (specOptions.checkIdempotency) {
+                test(`${filename} - ${mergedOptions.parser}-idempotency`, async () => {
+                    const output = await prettyprint(
+                        source,
+                        path,
+                        mergedOptions,
+                    );
+                    const secondOutput = await prettyprint(
+                        output,
+                        path,
+                        mergedOptions,
+                    );
+                    expect(secondOutput).toEqual(output);
+                });
+            }
+
             parsers.slice(1).forEach((parserName) => {
-                test(`${filename} - ${parserName}-verify`, () => {
-                    const verifyOptions = Object.assign(mergedOptions, {
+                test(`${filename} - ${parserName}-verify`, async () => {
+                    const verifyOptions = Object.assign({}, mergedOptions, {
                         parser: parserName,
                     });
-                    const verifyOutput = prettyprint(
+                    const verifyOutput = await prettyprint(
                         source,
                         path,
                         verifyOptions,
                     );
+                    const output = await prettyprint(
+                        source,
+                        path,
+                        mergedOptions,
+                    );
                     expect(output).toEqual(verifyOutput);
                 });
             });